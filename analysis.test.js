@@ -0,0 +1,272 @@
+// node --test: checks of the shared analysis modules, partly against the sample exports in chat_logs
+import './nodeLoader.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'node:fs/promises';
+
+const { DOMParser } = await import('linkedom');
+const { parseChatExport, parseMemberEvent, setDOMParser } = await import('./parser.jsx');
+const { computeMetrics, mergePages, searchMessages } = await import('./server.jsx');
+const { createPrivacySalt, privatizeMessages } = await import('./privacy.jsx');
+const { DEFAULT_DIRECTORY, applyDirectory } = await import('./directory.jsx');
+const { toCsv } = await import('./exportData.jsx');
+const { zonedParts } = await import('./timezone.jsx');
+
+setDOMParser(DOMParser);
+
+const SAMPLES = new URL('./chat_logs/', import.meta.url);
+
+async function samplePages() {
+  const names = (await readdir(SAMPLES))
+    .filter(name => /^messages\d*\.html$/.test(name))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  return Promise.all(names.map(async name => parseChatExport(await readFile(new URL(name, SAMPLES), 'utf8'))));
+}
+
+test('merging the sample pages, which do not overlap, reports no duplicates', async () => {
+  const pages = await samplePages();
+  assert.equal(pages.length, 8);
+  assert.equal(mergePages(pages).duplicates, 0);
+});
+
+test('merging a page twice counts each of its messages once', async () => {
+  const [page] = await samplePages();
+  const { messages, duplicates } = mergePages([page, page]);
+  assert.equal(duplicates, page.messages.filter(msg => msg.type === 'message').length);
+  assert.equal(messages.length, page.messages.length);
+});
+
+const userMessage = fields => ({
+  type: 'message',
+  id: 1,
+  chat: 'Chat',
+  sender: 'Alice',
+  senderId: null,
+  timestamp: 0,
+  utcOffset: null,
+  text: '',
+  links: [],
+  reactions: [],
+  replyTo: null,
+  forwardedFrom: null,
+  mediaType: null,
+  poll: null,
+  action: null,
+  ...fields,
+});
+
+test('privacy mode redacts bare domains', () => {
+  const message = userMessage({ text: 'join t.me/somegroup or see example.com, v1.2 is out' });
+  const [masked] = privatizeMessages([message], createPrivacySalt()).messages;
+  assert.doesNotMatch(masked.text, /t\.me|example\.com/);
+  assert.match(masked.text, /v1\.2/);
+});
+
+test('privacy mode masks poll questions and options', () => {
+  const message = userMessage({
+    mediaType: 'poll',
+    poll: {
+      question: 'Should Alice Smith run the call?',
+      options: [{ text: 'Ask @alice_s', votes: 2 }, { text: 'See example.com/rota', votes: 1 }],
+      totalVotes: 3,
+    },
+  });
+  const [masked] = privatizeMessages([message, userMessage({ id: 2, sender: 'Alice Smith' })], createPrivacySalt())
+    .messages;
+  const pollText = [masked.poll.question, ...masked.poll.options.map(option => option.text)].join('\n');
+  assert.doesNotMatch(pollText, /Alice Smith|@alice_s|example\.com/);
+  assert.deepEqual(masked.poll.options.map(option => option.votes), [2, 1]);
+});
+
+test('threads rooted at a forum topic are labelled with the topic', () => {
+  const topic = {
+    ...userMessage({ id: 10, sender: null }),
+    type: 'service',
+    action: 'Alice created topic «Testnet Faucet»',
+  };
+  const messages = [
+    topic,
+    userMessage({ id: 11, sender: 'Bob', text: 'Faucet is dry', replyTo: 10 }),
+    userMessage({ id: 12, sender: 'Alice', text: 'Refilled', replyTo: 11 }),
+  ];
+  const metrics = computeMetrics(messages);
+  const [thread] = metrics.longestThreads;
+  assert.equal(thread.rootId, 10);
+  assert.equal(thread.root, null);
+  assert.deepEqual(thread.rootEvent, { isTopic: true, label: 'Testnet Faucet' });
+  assert.equal(thread.messages, 2);
+  assert.deepEqual(metrics.replyNetwork.edges, [{ from: 'Alice', to: 'Bob', count: 1 }]);
+});
+
+test('accounts sharing a display name stay separate people', () => {
+  const messages = applyDirectory([
+    userMessage({ id: 1, sender: 'Alex', senderId: 'user1', timestamp: 1000 }),
+    userMessage({ id: 2, sender: 'Alex', senderId: 'user2', timestamp: 2000 }),
+    userMessage({ id: 3, sender: 'Alex Rivera', senderId: 'user1', timestamp: 3000 }),
+  ], DEFAULT_DIRECTORY);
+  assert.deepEqual(messages.map(msg => msg.sender), ['Alex Rivera', 'Alex', 'Alex Rivera']);
+});
+
+test('searching by domain matches links, not text', () => {
+  const messages = [
+    userMessage({ id: 1, text: 'the docs', links: ['https://www.docs.osmosis.zone/guide?utm_source=tg'] }),
+    userMessage({ id: 2, text: 'docs.osmosis.zone is down' }),
+    userMessage({ id: 3, links: ['https://github.com/osmosis-labs'] }),
+  ];
+  const { results } = searchMessages(messages, { domain: 'docs.osmosis.zone' });
+  assert.deepEqual(results.map(msg => msg.id), [1]);
+});
+
+test('CSV cells that a spreadsheet would run as a formula are quoted as text', () => {
+  const csv = toCsv({ columns: ['text', 'count'], rows: [['=1+1', -2], ['\t@SUM(A1)', 0], ['plain', 1]] });
+  assert.deepEqual(csv.split('\r\n').slice(1), ["'=1+1,-2", "'\t@SUM(A1),0", 'plain,1']);
+});
+
+test('most reacted to ranks people by reactions per message', () => {
+  const reacted = (sender, count, times, firstId) => Array.from({ length: times }, (_, i) => userMessage({
+    id: firstId + i,
+    sender,
+    reactions: [{ emoji: '👍', count, from: [] }],
+  }));
+  const metrics = computeMetrics([...reacted('Busy', 2, 20, 1), ...reacted('Liked', 5, 5, 100)]);
+  assert.deepEqual(metrics.mostReactedTo.map(({ user, count }) => [user, count]), [['Liked', 25], ['Busy', 40]]);
+});
+
+test('JSON exports parse senders, offsets, links, reactions and polls', () => {
+  // date_unixtime is UTC; date is the exporting machine's wall clock, here an hour ahead
+  const sent = Date.UTC(2024, 2, 1, 9, 0, 0);
+  const { format, chat, messages } = parseChatExport(JSON.stringify({
+    name: 'Dev Chat',
+    id: 42,
+    messages: [
+      {
+        id: 1,
+        type: 'message',
+        date: '2024-03-01T10:00:00',
+        date_unixtime: String(sent / 1000),
+        from: 'Alice',
+        from_id: 'user1',
+        text: ['see ', { type: 'text_link', text: 'the docs', href: 'https://docs.example.com/a' }],
+        text_entities: [
+          { type: 'plain', text: 'see ' },
+          { type: 'text_link', text: 'the docs', href: 'https://docs.example.com/a' },
+        ],
+        reactions: [{ type: 'emoji', count: 2, emoji: '👍', recent: [{ from: 'Bob', from_id: 'user2' }] }],
+      },
+      {
+        id: 2,
+        type: 'message',
+        date: '2024-03-01T10:01:00',
+        date_unixtime: String(sent / 1000 + 60),
+        from: 'Bob',
+        from_id: 'user2',
+        reply_to_message_id: 1,
+        text: '',
+        text_entities: [],
+        poll: { question: 'Ship it?', total_voters: 3, answers: [{ text: 'Yes', voters: 2 }, { text: 'No', voters: 1 }] },
+      },
+      {
+        id: 3,
+        type: 'service',
+        date: '2024-03-01T10:02:00',
+        date_unixtime: String(sent / 1000 + 120),
+        actor: 'Carol',
+        actor_id: 'user3',
+        action: 'invite_members',
+        members: ['Dan', 'Erin', 'Frank'],
+        text: '',
+        text_entities: [],
+      },
+    ],
+  }));
+
+  assert.equal(format, 'json');
+  assert.deepEqual(chat, { name: 'Dev Chat', id: 42 });
+
+  const [message, poll, service] = messages;
+  assert.deepEqual(
+    [message.sender, message.senderId, message.timestamp, message.utcOffset],
+    ['Alice', 'user1', sent, 60],
+  );
+  assert.equal(message.text, 'see the docs');
+  assert.deepEqual(message.links, ['https://docs.example.com/a']);
+  assert.deepEqual(message.reactions, [{ emoji: '👍', count: 2, from: ['Bob'] }]);
+
+  assert.equal(poll.replyTo, 1);
+  assert.equal(poll.mediaType, 'poll');
+  assert.deepEqual(poll.poll, {
+    question: 'Ship it?',
+    options: [{ text: 'Yes', votes: 2 }, { text: 'No', votes: 1 }],
+    totalVotes: 3,
+  });
+
+  assert.deepEqual([service.type, service.sender, service.day], ['service', null, '2024-03-01']);
+  assert.equal(service.action, 'Carol invited Dan, Erin and Frank');
+});
+
+test('messages are bucketed by the export offset, UTC or a named zone', () => {
+  // 23:30 UTC on a Monday, exported from a machine at UTC-07:00
+  const late = userMessage({ timestamp: Date.UTC(2024, 0, 1, 23, 30), utcOffset: -420 });
+  const buckets = timeZone => {
+    const metrics = computeMetrics([late], { timeZone });
+    return [metrics.datesCovered, Object.keys(metrics.messagesByHour), metrics.messagesByDayOfWeek.Tuesday];
+  };
+
+  assert.deepEqual(buckets('export'), [['2024-01-01'], ['16'], 0]);
+  assert.deepEqual(buckets('UTC'), [['2024-01-01'], ['23'], 0]);
+  assert.deepEqual(buckets('Asia/Tokyo'), [['2024-01-02'], ['8'], 1]);
+
+  // Named zones follow daylight saving; the export offset is fixed
+  const summer = userMessage({ timestamp: Date.UTC(2024, 6, 1, 3, 30), utcOffset: -420 });
+  const winter = userMessage({ timestamp: Date.UTC(2024, 0, 1, 3, 30), utcOffset: -420 });
+  assert.deepEqual(zonedParts(summer, 'America/New_York'), { date: '2024-06-30', hour: 23, weekday: 0 });
+  assert.deepEqual(zonedParts(winter, 'America/New_York'), { date: '2023-12-31', hour: 22, weekday: 0 });
+  assert.equal(zonedParts(summer).hour, 20);
+});
+
+test('a joined message at the top of a page keeps the previous page\'s author', () => {
+  const page = (...blocks) => `<html><body>
+    <div class="page_header"><div class="content"><div class="text bold">Dev Chat</div></div></div>
+    <div class="history">${blocks.join('')}</div>
+  </body></html>`;
+  const block = (id, from, text) => `
+    <div class="message default clearfix${from ? '' : ' joined'}" id="message${id}">
+      <div class="body">
+        <div class="pull_right date details" title="01.03.2024 10:0${id}:00 UTC+01:00">10:0${id}</div>
+        ${from ? `<div class="from_name">${from}</div>` : ''}
+        <div class="text">${text}</div>
+      </div>
+    </div>`;
+  const first = page(block(1, 'Bob', 'hi'), block(2, 'Alice', 'first'), block(3, null, 'second'));
+  const second = page(block(4, null, 'third'), block(5, 'Bob', 'reply'));
+
+  // Pages parsed on their own lose the author; merging carries it over
+  const pages = [parseChatExport(first), parseChatExport(second)];
+  assert.equal(pages[1].messages[0].sender, null);
+  const merged = mergePages(pages);
+  assert.deepEqual(merged.messages.map(msg => msg.sender), ['Bob', 'Alice', 'Alice', 'Alice', 'Bob']);
+
+  // Parsing page by page with the previous page's last sender does the same
+  assert.equal(pages[0].lastSender, 'Alice');
+  assert.equal(parseChatExport(second, pages[0].lastSender).messages[0].sender, 'Alice');
+});
+
+test('member events are read from the sample export\'s phrasings', () => {
+  assert.deepEqual(parseMemberEvent('0xR Richard joined group by link from Group'), {
+    kind: 'join', actor: '0xR Richard', members: ['0xR Richard'], source: 'link', inviter: null,
+  });
+  assert.deepEqual(parseMemberEvent('Anon Star joined group by request'), {
+    kind: 'join', actor: 'Anon Star', members: ['Anon Star'], source: 'request', inviter: null,
+  });
+  assert.deepEqual(parseMemberEvent('*jason ⚛️👨‍🔬🧪 invited Felix, Kamal Maquina | Keplr and Crypto Assassin'), {
+    kind: 'join',
+    actor: '*jason ⚛️👨‍🔬🧪',
+    members: ['Felix', 'Kamal Maquina | Keplr', 'Crypto Assassin'],
+    source: 'added',
+    inviter: '*jason ⚛️👨‍🔬🧪',
+  });
+  assert.deepEqual(parseMemberEvent('AARON removed GP (real)'), {
+    kind: 'remove', actor: 'AARON', members: ['GP (real)'], source: null, inviter: null,
+  });
+  assert.equal(parseMemberEvent('AARON converted this group to a supergroup'), null);
+});
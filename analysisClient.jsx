@@ -0,0 +1,145 @@
+// Promise-based wrapper around analysisWorker.jsx
+export class AnalysisCancelledError extends Error {
+  constructor() {
+    super('Analysis cancelled');
+    this.name = 'AnalysisCancelledError';
+  }
+}
+
+export function createAnalysisClient() {
+  const worker = new Worker(new URL('./analysisWorker.jsx', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextJobId = 1;
+  let activeAnalysis = null;
+
+  worker.onmessage = ({ data }) => {
+    const job = pending.get(data.jobId);
+    if (!job) return;
+
+    switch (data.type) {
+      case 'progress':
+        job.onProgress?.(data);
+        return;
+      case 'cancelled':
+        job.reject(new AnalysisCancelledError());
+        break;
+      case 'error':
+        job.reject(new Error(data.message));
+        break;
+      case 'done':
+        job.resolve({
+          messageCounts: data.messageCounts,
+          files: data.files,
+          duplicates: data.duplicates,
+          chats: data.chats,
+          privacy: data.privacy,
+          directory: data.directory,
+          identities: data.identities,
+          dataset: data.dataset || null,
+        });
+        break;
+      case 'saved':
+        job.resolve(data.dataset);
+        break;
+      case 'profile':
+        job.resolve(data.profile);
+        break;
+      case 'trends':
+        job.resolve(data.trends);
+        break;
+      case 'search':
+        job.resolve(data.results);
+        break;
+      case 'privacyMapping':
+        job.resolve(data.mapping);
+        break;
+      default:
+        job.resolve({ metrics: data.metrics, dateBounds: data.dateBounds });
+    }
+
+    pending.delete(data.jobId);
+    if (activeAnalysis === data.jobId) activeAnalysis = null;
+  };
+
+  const request = (message, onProgress) => {
+    const jobId = nextJobId++;
+    return {
+      jobId,
+      promise: new Promise((resolve, reject) => {
+        pending.set(jobId, { resolve, reject, onProgress });
+        worker.postMessage({ ...message, jobId });
+      }),
+    };
+  };
+
+  return {
+    // Parses only the given files; resolves with message counts and summaries of every cached file
+    addFiles(files, onProgress) {
+      const { jobId, promise } = request({ type: 'addFiles', files }, onProgress);
+      activeAnalysis = jobId;
+      return promise;
+    },
+
+    removeFile(fileId) {
+      return request({ type: 'removeFile', fileId }).promise;
+    },
+
+    clear() {
+      return request({ type: 'clear' }).promise;
+    },
+
+    // Saves the current file cache as a new dataset, or over datasetId when given
+    saveDataset(name, datasetId) {
+      return request({ type: 'saveDataset', name, datasetId }).promise;
+    },
+
+    openDataset(datasetId) {
+      return request({ type: 'openDataset', datasetId }).promise;
+    },
+
+    cancel() {
+      if (activeAnalysis !== null) {
+        worker.postMessage({ type: 'cancel', targetJobId: activeAnalysis });
+      }
+    },
+
+    computeMetrics(options) {
+      return request({ type: 'metrics', options }).promise;
+    },
+
+    computeUserProfile(user, options) {
+      return request({ type: 'profile', user, options }).promise;
+    },
+
+    // options.recentDays / baselineDays size the two windows ending at options.endDate
+    computeTrends(options) {
+      return request({ type: 'trends', options }).promise;
+    },
+
+    // Resolves with one page of matching messages and the total count
+    searchMessages(options) {
+      return request({ type: 'search', options }).promise;
+    },
+
+    // Re-runs the merge with names pseudonymized and contact details redacted, or undoes it
+    setPrivacy(enabled) {
+      return request({ type: 'setPrivacy', enabled }).promise;
+    },
+
+    // Replaces the user directory (aliases, manual roles and role rules) and re-merges
+    setDirectory(directory) {
+      return request({ type: 'setDirectory', directory }).promise;
+    },
+
+    // Pseudonym to original name, for admins reversing a shared report on their own machine
+    getPrivacyMapping() {
+      return request({ type: 'privacyMapping' }).promise;
+    },
+
+    terminate() {
+      worker.terminate();
+      pending.forEach((job) => job.reject(new AnalysisCancelledError()));
+      pending.clear();
+    },
+  };
+}
@@ -0,0 +1,234 @@
+// Runs parsing and metric computation off the UI thread
+import { DOMParser } from 'linkedom';
+import { parseChatExport, setDOMParser } from './parser.jsx';
+import {
+  computeMetrics,
+  computeTrends,
+  computeUserProfile,
+  dateBounds,
+  filterMessages,
+  listChats,
+  mergePages,
+  searchMessages,
+} from './server.jsx';
+import { loadDataset, saveDataset } from './storage.jsx';
+import { createPrivacySalt, privatizeMessages } from './privacy.jsx';
+import { DEFAULT_DIRECTORY, applyDirectory, listIdentities } from './directory.jsx';
+
+setDOMParser(DOMParser);
+
+// Parsed pages per file, so adding or removing a file never re-parses the others
+const pages = new Map();
+// What every analysis reads: the merged messages with aliases merged and roles set,
+// pseudonymized when privacy mode is on
+let messages = [];
+// Saved with the dataset, like the privacy salt
+let directory = DEFAULT_DIRECTORY;
+// The salt belongs to the dataset, so pseudonyms stay the same each time it's reopened
+let privacy = { enabled: false, salt: createPrivacySalt() };
+let privacyMapping = [];
+const cancelledJobs = new Set();
+
+// Yield between files so a cancel request can be handled mid-analysis
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const fileId = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+// messages.html, messages2.html, ... so joined messages continue across pages
+const byExportOrder = ([, a], [, b]) => a.name.localeCompare(b.name, undefined, { numeric: true });
+
+function summarizeFile(id, entry) {
+  const { page } = entry;
+  const bounds = page ? dateBounds(page.messages) : { minDate: null, maxDate: null };
+
+  return {
+    id,
+    name: entry.name,
+    chatName: page?.chat.name || null,
+    totalMessages: page ? page.messages.length : 0,
+    userMessages: page ? page.messages.filter((msg) => msg.type === 'message').length : 0,
+    firstDate: bounds.minDate,
+    lastDate: bounds.maxDate,
+    error: entry.error || null,
+  };
+}
+
+// Drill-down lists leave message bodies out while privacy mode is on
+const withPrivacy = (options) => ({ ...options, hideText: privacy.enabled });
+
+// Aggregation only ever reads from the cache
+function rebuild(jobId, extra = {}) {
+  const entries = Array.from(pages.entries()).sort(byExportOrder);
+  const merged = mergePages(entries.filter(([, entry]) => entry.page).map(([, entry]) => entry.page));
+  const identified = applyDirectory(merged.messages, directory);
+  if (privacy.enabled) {
+    ({ messages, mapping: privacyMapping } = privatizeMessages(identified, privacy.salt));
+  } else {
+    messages = identified;
+    privacyMapping = [];
+  }
+
+  // Only counts go back: the messages stay here, and copying them to the page on every change is slow
+  self.postMessage({
+    type: 'done',
+    jobId,
+    messageCounts: {
+      total: messages.length,
+      user: messages.filter((msg) => msg.type === 'message').length,
+    },
+    privacy: privacy.enabled,
+    directory,
+    // Real names, so the directory panel stays empty while privacy mode is on
+    identities: privacy.enabled ? [] : listIdentities(merged.messages, directory),
+    duplicates: merged.duplicates,
+    chats: listChats(messages),
+    files: entries.map(([id, entry]) => summarizeFile(id, entry)),
+    ...extra,
+  });
+}
+
+// The parsed file cache is what gets persisted, so a reopened dataset can still add or remove files
+async function saveCurrent(jobId, { datasetId, name }) {
+  const bounds = dateBounds(messages);
+  const chatNames = new Set(Array.from(pages.values()).map((entry) => entry.page?.chat.name).filter(Boolean));
+
+  const dataset = await saveDataset({
+    id: datasetId,
+    name,
+    data: {
+      files: Array.from(pages.entries()),
+      // Whole-dataset snapshot, so saved results can be read back without re-running the analysis
+      metrics: computeMetrics(messages, withPrivacy({})),
+      privacy,
+      directory,
+    },
+    summary: {
+      fileCount: pages.size,
+      messageCount: messages.filter((msg) => msg.type === 'message').length,
+      firstDate: bounds.minDate,
+      lastDate: bounds.maxDate,
+      chatNames: Array.from(chatNames),
+    },
+  });
+  self.postMessage({ type: 'saved', jobId, dataset });
+}
+
+async function openSaved(jobId, datasetId) {
+  const { dataset, data } = await loadDataset(datasetId);
+  pages.clear();
+  data.files.forEach(([id, entry]) => pages.set(id, entry));
+  privacy = data.privacy || { enabled: false, salt: createPrivacySalt() };
+  directory = data.directory || DEFAULT_DIRECTORY;
+  rebuild(jobId, { dataset });
+}
+
+async function addFiles(jobId, files) {
+  const parsed = new Map();
+  let messagesParsed = 0;
+
+  for (let index = 0; index < files.length; index++) {
+    await nextTick();
+    if (cancelledJobs.has(jobId)) {
+      cancelledJobs.delete(jobId);
+      self.postMessage({ type: 'cancelled', jobId });
+      return;
+    }
+
+    const file = files[index];
+    try {
+      const page = parseChatExport(await file.text());
+      parsed.set(fileId(file), { name: file.name, page });
+      messagesParsed += page.messages.length;
+    } catch (error) {
+      console.error(`Error processing ${file.name}:`, error);
+      parsed.set(fileId(file), { name: file.name, page: null, error: error.message });
+    }
+
+    self.postMessage({
+      type: 'progress',
+      jobId,
+      currentFile: file.name,
+      filesDone: index + 1,
+      totalFiles: files.length,
+      messagesParsed,
+    });
+  }
+
+  // Only commit once every file is in, so a cancelled run leaves the cache untouched
+  parsed.forEach((entry, id) => pages.set(id, entry));
+  cancelledJobs.delete(jobId);
+  rebuild(jobId);
+}
+
+self.onmessage = async ({ data }) => {
+  const { type, jobId } = data;
+
+  try {
+    switch (type) {
+      case 'addFiles':
+        await addFiles(jobId, data.files);
+        break;
+      case 'removeFile':
+        pages.delete(data.fileId);
+        rebuild(jobId);
+        break;
+      case 'clear':
+        pages.clear();
+        privacy = { ...privacy, salt: createPrivacySalt() };
+        directory = DEFAULT_DIRECTORY;
+        rebuild(jobId);
+        break;
+      case 'saveDataset':
+        await saveCurrent(jobId, data);
+        break;
+      case 'openDataset':
+        await openSaved(jobId, data.datasetId);
+        break;
+      case 'setPrivacy':
+        privacy = { ...privacy, enabled: data.enabled };
+        rebuild(jobId);
+        break;
+      case 'setDirectory':
+        directory = data.directory;
+        rebuild(jobId);
+        break;
+      case 'privacyMapping':
+        self.postMessage({ type: 'privacyMapping', jobId, mapping: privacyMapping });
+        break;
+      case 'cancel':
+        cancelledJobs.add(data.targetJobId);
+        break;
+      case 'metrics':
+        self.postMessage({
+          type: 'metrics',
+          jobId,
+          metrics: computeMetrics(filterMessages(messages, data.options), withPrivacy(data.options)),
+          // Bounds of the whole upload, so the pickers aren't limited by the current range
+          dateBounds: dateBounds(filterMessages(messages, { chat: data.options.chat }), data.options.timeZone),
+        });
+        break;
+      case 'trends':
+        // Windows are anchored to the range's end, so only the chat and role filters apply up front
+        self.postMessage({
+          type: 'trends',
+          jobId,
+          trends: computeTrends(filterMessages(messages, { chat: data.options.chat, role: data.options.role }), data.options),
+        });
+        break;
+      case 'search':
+        self.postMessage({ type: 'search', jobId, results: searchMessages(messages, withPrivacy(data.options)) });
+        break;
+      case 'profile':
+        self.postMessage({
+          type: 'profile',
+          jobId,
+          profile: computeUserProfile(filterMessages(messages, data.options), data.user, data.options),
+        });
+        break;
+      default:
+        throw new Error(`Unknown request: ${type}`);
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', jobId, message: error.message });
+  }
+};
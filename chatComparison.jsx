@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { COLORS, CollapsibleSection, StatsCard } from './components.jsx';
+
+const ratio = (value, total) => (total > 0 ? value / total : 0);
+
+// Engagement figures normalized per chat, so groups of different sizes compare fairly
+const engagement = (metrics) => [
+  { label: 'Messages', value: metrics.userMessages.toLocaleString() },
+  { label: 'Active users', value: metrics.uniqueUsers.toLocaleString() },
+  {
+    label: 'Messages per active user',
+    value: ratio(metrics.userMessages, metrics.uniqueUsers).toFixed(1),
+  },
+  {
+    label: 'Reactions per message',
+    value: ratio(metrics.totalReactions, metrics.userMessages).toFixed(2),
+  },
+  {
+    label: 'Replies',
+    value: `${(ratio(metrics.replyMessages, metrics.userMessages) * 100).toFixed(1)}%`,
+  },
+];
+
+const ChatPicker = ({ label, value, chats, onChange }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{label}</label>
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm
+        sm:text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+    >
+      {chats.map((chat) => (
+        <option key={chat.name} value={chat.name}>
+          {chat.name}
+        </option>
+      ))}
+    </select>
+  </div>
+);
+
+// Side-by-side health of two chats, for the current timezone and date range
+const ChatComparison = ({ chats, options, computeMetrics }) => {
+  const [chatA, setChatA] = useState(chats[0].name);
+  const [chatB, setChatB] = useState(chats[1].name);
+  const [results, setResults] = useState(null);
+
+  useEffect(() => {
+    let current = true;
+    Promise.all([
+      computeMetrics({ ...options, chat: chatA }),
+      computeMetrics({ ...options, chat: chatB }),
+    ])
+      .then(([a, b]) => {
+        if (current) setResults([a.metrics, b.metrics]);
+      })
+      .catch((err) => console.error('Error comparing chats:', err));
+    return () => {
+      current = false;
+    };
+  }, [chatA, chatB, options.timeZone, options.startDate, options.endDate, options.role, options.text]);
+
+  const pickers = (
+    <div className="grid grid-cols-2 gap-4">
+      <ChatPicker label="Chat A" value={chatA} chats={chats} onChange={setChatA} />
+      <ChatPicker label="Chat B" value={chatB} chats={chats} onChange={setChatB} />
+    </div>
+  );
+
+  if (!results) {
+    return (
+      <div className="space-y-6">
+        {pickers}
+        <p className="text-gray-500 dark:text-gray-400">Comparing chats...</p>
+      </div>
+    );
+  }
+
+  const [metricsA, metricsB] = results;
+
+  const dates = Array.from(
+    new Set([...Object.keys(metricsA.messagesByDate), ...Object.keys(metricsB.messagesByDate)])
+  ).sort();
+  const dailyData = dates.map((date) => ({
+    date,
+    a: metricsA.messagesByDate[date] || 0,
+    b: metricsB.messagesByDate[date] || 0,
+  }));
+
+  // Share of each chat's messages per hour, since raw counts hide the pattern of the smaller chat
+  const hourlyData = Array.from({ length: 24 }, (_, hour) => ({
+    hour,
+    a: +(ratio(metricsA.messagesByHour[hour] || 0, metricsA.userMessages) * 100).toFixed(1),
+    b: +(ratio(metricsB.messagesByHour[hour] || 0, metricsB.userMessages) * 100).toFixed(1),
+  }));
+
+  return (
+    <div className="space-y-6">
+      {pickers}
+
+      <CollapsibleSection title="Engagement">
+        <div className="grid grid-cols-2 gap-4">
+          {[
+            [chatA, metricsA],
+            [chatB, metricsB],
+          ].map(([name, metrics], index) => (
+            <div key={index} className="space-y-4">
+              <h4 className="font-medium text-gray-900 dark:text-gray-100">{name}</h4>
+              {engagement(metrics).map(({ label, value }) => (
+                <StatsCard key={label} title={label} value={value} />
+              ))}
+            </div>
+          ))}
+        </div>
+      </CollapsibleSection>
+
+      <CollapsibleSection title="Daily Activity">
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={dailyData} className="dark:bg-gray-800">
+              <CartesianGrid stroke="#4a5568" strokeDasharray="3 3" />
+              <XAxis dataKey="date" stroke="#718096" tick={{ fill: '#718096' }} />
+              <YAxis stroke="#718096" tick={{ fill: '#718096' }} />
+              <Tooltip contentStyle={{ backgroundColor: '#2d3748', color: '#e2e8f0' }} />
+              <Legend wrapperStyle={{ color: '#718096' }} />
+              <Line type="monotone" dataKey="a" name={chatA} stroke={COLORS[0]} strokeWidth={2} dot={false} />
+              <Line type="monotone" dataKey="b" name={chatB} stroke={COLORS[1]} strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </CollapsibleSection>
+
+      <CollapsibleSection title="Hourly Pattern (% of each chat's messages)">
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={hourlyData} className="dark:bg-gray-800">
+              <CartesianGrid stroke="#4a5568" strokeDasharray="3 3" />
+              <XAxis dataKey="hour" stroke="#718096" tick={{ fill: '#718096' }} />
+              <YAxis stroke="#718096" tick={{ fill: '#718096' }} unit="%" />
+              <Tooltip contentStyle={{ backgroundColor: '#2d3748', color: '#e2e8f0' }} />
+              <Legend wrapperStyle={{ color: '#718096' }} />
+              <Bar dataKey="a" name={chatA} fill={COLORS[0]} radius={[4, 4, 0, 0]} />
+              <Bar dataKey="b" name={chatB} fill={COLORS[1]} radius={[4, 4, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </CollapsibleSection>
+
+      <CollapsibleSection title="Most Active Users">
+        <div className="grid grid-cols-2 gap-4">
+          {[metricsA, metricsB].map((metrics, index) => (
+            <div key={index}>
+              {metrics.mostActiveUsers.map(({ user, count }, rank) => (
+                <div
+                  key={user}
+                  className="flex items-center justify-between py-2 border-b dark:border-gray-600 last:border-0"
+                >
+                  <span className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                    {rank + 1}. {user}
+                  </span>
+                  <span className="text-sm text-gray-500 dark:text-gray-400">{count} messages</span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </CollapsibleSection>
+    </div>
+  );
+};
+
+export default ChatComparison;
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+// Headless analysis: the same parser and metrics as the web app, run over a directory of exports.
+//
+//   node cli.js <exports-dir> [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--timezone zone]
+//     [--chat name | --all-chats] [--role role] [--format json,csv,xlsx,html] [--out dir]
+//     [--title text] [--notes text]
+import './nodeLoader.js';
+import { readdir, readFile, mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+const { DOMParser } = await import('linkedom');
+const { parseChatExport, setDOMParser } = await import('./parser.jsx');
+const { computeMetrics, filterMessages, listChats, mergePages } = await import('./server.jsx');
+const { EXPORT_TIMEZONE, LOCAL_TIMEZONE, UTC_TIMEZONE, listTimeZones } = await import('./timezone.jsx');
+const { DEFAULT_DIRECTORY, ROLE_LABELS, applyDirectory } = await import('./directory.jsx');
+const { exportBaseName, metricsTables, toCsv, toXlsx } = await import('./exportData.jsx');
+const { buildReport } = await import('./report.jsx');
+
+setDOMParser(DOMParser);
+
+const FORMATS = ['json', 'csv', 'xlsx', 'html'];
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const EXPORT_FILE = /^(?:messages\d*\.html|result\.json)$/;
+
+const USAGE = `Usage: node cli.js <exports-dir> [options]
+
+Reads every messages*.html and result.json under <exports-dir> and writes the analysis to disk.
+
+Options:
+  --from YYYY-MM-DD    first day to include
+  --to YYYY-MM-DD      last day to include
+  --timezone ZONE      export (default, the export's own offset), local, UTC or an IANA zone
+  --chat NAME          chat to analyze (default: the busiest one, as in the web app)
+  --all-chats          combine every chat in the exports
+  --role ROLE          only messages from ${Object.keys(ROLE_LABELS).join(', ')}
+  --format LIST        comma separated: ${FORMATS.join(', ')} (default: json)
+  --out DIR            output directory (default: current directory)
+  --title TEXT         report title (html)
+  --notes TEXT         report notes (html)
+  --help               show this message`;
+
+class UsageError extends Error {}
+
+// Export files anywhere under the directory, in export order (messages.html, messages2.html, ...)
+async function findExports(dir) {
+  const entries = await readdir(dir, { recursive: true, withFileTypes: true });
+  return entries
+    .filter(entry => entry.isFile() && EXPORT_FILE.test(entry.name))
+    .map(entry => path.join(entry.parentPath ?? entry.path, entry.name))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      timezone: { type: 'string', default: EXPORT_TIMEZONE },
+      chat: { type: 'string' },
+      'all-chats': { type: 'boolean', default: false },
+      role: { type: 'string' },
+      format: { type: 'string', default: 'json' },
+      out: { type: 'string', default: '.' },
+      title: { type: 'string', default: 'Community report' },
+      notes: { type: 'string', default: '' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  if (values.help) return { help: true };
+
+  if (positionals.length !== 1) throw new UsageError('Expected one exports directory');
+  ['from', 'to'].forEach(key => {
+    if (values[key] && !DATE_KEY.test(values[key])) throw new UsageError(`--${key} must be YYYY-MM-DD`);
+  });
+  const zones = [EXPORT_TIMEZONE, LOCAL_TIMEZONE, UTC_TIMEZONE, ...listTimeZones()];
+  if (!zones.includes(values.timezone)) throw new UsageError(`Unknown timezone: ${values.timezone}`);
+  if (values.role && !ROLE_LABELS[values.role]) throw new UsageError(`Unknown role: ${values.role}`);
+  const formats = values.format.split(',').map(format => format.trim()).filter(Boolean);
+  const unknown = formats.filter(format => !FORMATS.includes(format));
+  if (formats.length === 0 || unknown.length > 0) throw new UsageError(`Unknown format: ${unknown.join(', ') || '(none)'}`);
+
+  return { ...values, dir: positionals[0], formats };
+}
+
+async function main(argv) {
+  const options = parseOptions(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const files = await findExports(options.dir);
+  if (files.length === 0) throw new Error(`No messages*.html or result.json files under ${options.dir}`);
+
+  // Same steps as the analysis worker: parse each page, merge in order, apply the user directory
+  const pages = [];
+  for (const file of files) {
+    try {
+      pages.push(parseChatExport(await readFile(file, 'utf8')));
+    } catch (error) {
+      console.error(`Skipping ${file}: ${error.message}`);
+    }
+  }
+  const messages = applyDirectory(mergePages(pages).messages, DEFAULT_DIRECTORY);
+
+  const chats = listChats(messages);
+  if (options.chat && !chats.some(chat => chat.name === options.chat)) {
+    throw new Error(`No chat named "${options.chat}"; found: ${chats.map(chat => chat.name).join(', ')}`);
+  }
+  const chat = options['all-chats'] ? null : options.chat || chats[0]?.name || null;
+
+  const rangeOptions = {
+    timeZone: options.timezone,
+    startDate: options.from || null,
+    endDate: options.to || null,
+    chat,
+    role: options.role || null,
+  };
+  const metrics = computeMetrics(filterMessages(messages, rangeOptions), rangeOptions);
+
+  await mkdir(options.out, { recursive: true });
+  const baseName = exportBaseName(rangeOptions);
+  const write = async (name, content) => {
+    const target = path.join(options.out, name);
+    await writeFile(target, content);
+    console.log(target);
+  };
+
+  for (const format of options.formats) {
+    if (format === 'json') {
+      await write(`${baseName}.json`, JSON.stringify(metrics, null, 2));
+    } else if (format === 'csv') {
+      for (const [key, table] of Object.entries(metricsTables(metrics))) {
+        await write(`${baseName}-${key}.csv`, toCsv(table));
+      }
+    } else if (format === 'xlsx') {
+      await write(`${baseName}.xlsx`, toXlsx(Object.values(metricsTables(metrics))));
+    } else {
+      await write(`${baseName}.html`, buildReport(metrics, { ...rangeOptions, title: options.title, notes: options.notes }));
+    }
+  }
+
+  console.error(
+    `${files.length} file(s), ${metrics.userMessages.toLocaleString()} messages from ${chat || 'all chats'}`
+  );
+}
+
+try {
+  await main(process.argv.slice(2));
+} catch (error) {
+  console.error(error instanceof UsageError ? `${error.message}\n\n${USAGE}` : error.message);
+  process.exitCode = error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ? 2 : 1;
+}
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+
+// Shared dashboard building blocks
+export const COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff8042', '#a4de6c'];
+
+export const CollapsibleSection = ({ title, children, defaultOpen = true }) => {
+  const [isOpen, setIsOpen] = useState(defaultOpen);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow dark:shadow-lg mb-4">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full px-4 py-3 flex justify-between items-center hover:bg-gray-50 dark:hover:bg-gray-700 rounded-t-lg"
+      >
+        <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">{title}</h3>
+        <span className={`transform transition-transform ${isOpen ? 'rotate-180' : ''}`}>
+          ▼
+        </span>
+      </button>
+      {isOpen && <div className="px-4 pb-4">{children}</div>}
+    </div>
+  );
+};
+
+export const StatsCard = ({ title, value, subtitle }) => (
+  <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow dark:shadow-lg hover:shadow-md dark:hover:shadow-xl transition-shadow">
+    <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">{title}</h3>
+    <p className="mt-2 text-3xl font-semibold text-gray-900 dark:text-gray-100">{value}</p>
+    {subtitle && <p className="mt-1 text-sm text-gray-500 dark:text-gray-300">{subtitle}</p>}
+  </div>
+);
+
+export const ScrollableList = ({ items, renderItem, maxHeight = "96" }) => (
+  <div className={`overflow-y-auto max-h-${maxHeight} pr-2`}>
+    {items.map((item, index) => renderItem(item, index))}
+  </div>
+);
+
+export const SortableList = ({ items, renderItem, sortOptions, defaultSort }) => {
+  const [sortKey, setSortKey] = useState(defaultSort);
+  const [sortDirection, setSortDirection] = useState('desc');
+
+  const toggleSort = (key) => {
+    if (sortKey === key) {
+      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortKey(key);
+      setSortDirection('desc');
+    }
+  };
+
+  const sortedItems = [...items].sort((a, b) => {
+    const aValue = sortKey === 'name' ? a[0] : a[1];
+    const bValue = sortKey === 'name' ? b[0] : b[1];
+    return sortDirection === 'asc'
+      ? aValue > bValue
+        ? 1
+        : -1
+      : aValue < bValue
+      ? 1
+      : -1;
+  });
+
+  return (
+    <div>
+      <div className="flex space-x-4 mb-4">
+        {sortOptions.map((option) => (
+          <button
+            key={option.key}
+            onClick={() => toggleSort(option.key)}
+            className={`px-3 py-1 rounded text-sm ${
+              sortKey === option.key
+                ? 'bg-indigo-100 dark:bg-indigo-900 text-indigo-700 dark:text-indigo-300'
+                : 'text-gray-500 dark:text-gray-300 hover:text-gray-700 dark:hover:text-gray-100'
+            }`}
+          >
+            {option.label}
+            {sortKey === option.key && (
+              <span className="ml-1">{sortDirection === 'asc' ? '↑' : '↓'}</span>
+            )}
+          </button>
+        ))}
+      </div>
+      <ScrollableList items={sortedItems} renderItem={renderItem} />
+    </div>
+  );
+};
@@ -0,0 +1,153 @@
+import React from 'react';
+import {
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { COLORS, CollapsibleSection, ScrollableList } from './components.jsx';
+import { formatDateTime } from './timezone.jsx';
+
+const KIND_LABELS = {
+  text: 'Text',
+  photo: 'Photo',
+  video: 'Video',
+  file: 'File',
+  voice: 'Voice / audio',
+  sticker: 'Sticker',
+  forward: 'Forward',
+  poll: 'Poll',
+  other: 'Other',
+};
+
+const KIND_COLORS = [...COLORS, '#8dd1e1', '#d0ed57', '#a28bd4', '#f28cb1'];
+
+const Row = ({ label, value, onClick }) => (
+  <div className="flex items-center justify-between py-2 border-b dark:border-gray-600 last:border-0">
+    {onClick ? (
+      <button
+        onClick={onClick}
+        className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline text-left"
+      >
+        {label}
+      </button>
+    ) : (
+      <span className="text-sm font-medium text-gray-900 dark:text-gray-100">{label}</span>
+    )}
+    <span className="text-sm text-gray-500 dark:text-gray-400">{value}</span>
+  </div>
+);
+
+// Message types, media per person, forward sources and polls
+const ContentBreakdown = ({ content, timeZone, onSelectUser }) => {
+  // Kinds that never occur in range would only clutter the legend
+  const kinds = Object.keys(KIND_LABELS).filter((kind) => content.kindTotals[kind] > 0);
+  const total = kinds.reduce((sum, kind) => sum + content.kindTotals[kind], 0);
+
+  return (
+    <>
+      <CollapsibleSection title="Message Types Over Time">
+        <div className="flex flex-wrap gap-4 mb-4">
+          {kinds.map((kind) => (
+            <span key={kind} className="text-sm text-gray-500 dark:text-gray-400">
+              {KIND_LABELS[kind]}:{' '}
+              <span className="font-medium text-gray-900 dark:text-gray-100">
+                {content.kindTotals[kind].toLocaleString()}
+              </span>{' '}
+              ({((content.kindTotals[kind] / total) * 100).toFixed(1)}%)
+            </span>
+          ))}
+        </div>
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <AreaChart data={content.kindsByDate} className="dark:bg-gray-800">
+              <CartesianGrid stroke="#4a5568" strokeDasharray="3 3" />
+              <XAxis dataKey="date" stroke="#718096" tick={{ fill: '#718096' }} />
+              <YAxis stroke="#718096" tick={{ fill: '#718096' }} />
+              <Tooltip contentStyle={{ backgroundColor: '#2d3748', color: '#e2e8f0' }} />
+              <Legend wrapperStyle={{ color: '#718096' }} />
+              {kinds.map((kind) => {
+                const color = KIND_COLORS[Object.keys(KIND_LABELS).indexOf(kind)];
+                return (
+                  <Area
+                    key={kind}
+                    type="monotone"
+                    dataKey={kind}
+                    name={KIND_LABELS[kind]}
+                    stackId="kinds"
+                    stroke={color}
+                    fill={color}
+                  />
+                );
+              })}
+            </AreaChart>
+          </ResponsiveContainer>
+        </div>
+      </CollapsibleSection>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <CollapsibleSection title="Media Share by User">
+          <ScrollableList
+            items={content.mediaByUser}
+            renderItem={({ user, messages, media, forwards, mediaShare }) => (
+              <Row
+                key={user}
+                label={user}
+                value={`${media} media (${(mediaShare * 100).toFixed(1)}% of ${messages}), ${forwards} forwards`}
+                onClick={() => onSelectUser(user)}
+              />
+            )}
+          />
+        </CollapsibleSection>
+        <CollapsibleSection title="Top Forwarded-From Sources">
+          {content.topForwardSources.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No forwarded messages</p>
+          ) : (
+            content.topForwardSources.map(([source, count]) => (
+              <Row key={source} label={source} value={`${count} forwards`} />
+            ))
+          )}
+        </CollapsibleSection>
+      </div>
+
+      {content.polls.length > 0 && (
+        <CollapsibleSection title={`Polls (${content.polls.length})`}>
+          <div className="space-y-4">
+            {content.polls.map((poll) => (
+              <div key={`${poll.chat}:${poll.id}`} className="p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
+                <p className="font-medium text-gray-900 dark:text-gray-100">{poll.question}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                  {poll.sender}
+                  {poll.timestamp !== null && ` · ${formatDateTime(poll, timeZone)}`} ·{' '}
+                  {poll.totalVotes} votes
+                </p>
+                {poll.options.map((option, index) => {
+                  const share = poll.totalVotes > 0 ? option.votes / poll.totalVotes : 0;
+                  return (
+                    <div key={index} className="mb-1">
+                      <div className="flex justify-between text-sm text-gray-700 dark:text-gray-300">
+                        <span>{option.text}</span>
+                        <span>
+                          {option.votes} ({Math.round(share * 100)}%)
+                        </span>
+                      </div>
+                      <div className="h-2 rounded bg-gray-200 dark:bg-gray-600">
+                        <div className="h-2 rounded bg-indigo-600" style={{ width: `${share * 100}%` }} />
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </CollapsibleSection>
+      )}
+    </>
+  );
+};
+
+export default ContentBreakdown;
@@ -0,0 +1,103 @@
+import React, { useState, useRef } from 'react';
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+};
+
+const DatasetList = ({ datasets, usage, onOpen, onRename, onDelete }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+  // Enter submits and then unmounts the input, which blurs it; only the first of the two renames
+  const editing = useRef(false);
+
+  const startRename = (dataset) => {
+    editing.current = true;
+    setEditingId(dataset.id);
+    setDraftName(dataset.name);
+  };
+
+  const submitRename = (event) => {
+    event.preventDefault();
+    if (!editing.current) return;
+    editing.current = false;
+    if (draftName.trim()) onRename(editingId, draftName.trim());
+    setEditingId(null);
+  };
+
+  return (
+    <div className="mt-8">
+      <div className="flex justify-between items-baseline mb-2">
+        <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Saved datasets</h2>
+        {usage && (
+          <span className="text-sm text-gray-500 dark:text-gray-400">
+            {formatBytes(usage.usage)} of {formatBytes(usage.quota)} used
+          </span>
+        )}
+      </div>
+      {usage && (
+        <div className="h-1 mb-4 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-indigo-600 dark:bg-indigo-500"
+            style={{ width: `${Math.min((usage.usage / usage.quota) * 100, 100)}%` }}
+          />
+        </div>
+      )}
+      {datasets.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Nothing saved yet. Analyzed files can be saved from the dashboard header.
+        </p>
+      ) : (
+        <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
+          {datasets.map((dataset) => (
+            <div
+              key={dataset.id}
+              className="flex items-center justify-between py-2 border-b dark:border-gray-600 last:border-0"
+            >
+              {editingId === dataset.id ? (
+                <form onSubmit={submitRename} className="flex-1 mr-4">
+                  <input
+                    autoFocus
+                    value={draftName}
+                    onChange={(e) => setDraftName(e.target.value)}
+                    onBlur={submitRename}
+                    className="w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                  />
+                </form>
+              ) : (
+                <button onClick={() => onOpen(dataset.id)} className="text-left flex-1">
+                  <p className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline">
+                    {dataset.name}
+                  </p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {dataset.messageCount.toLocaleString()} messages in {dataset.fileCount} file(s)
+                    {dataset.firstDate && `, ${dataset.firstDate} to ${dataset.lastDate}`}
+                  </p>
+                </button>
+              )}
+              <div className="flex space-x-3 text-sm">
+                <button
+                  onClick={() => startRename(dataset)}
+                  className="text-gray-500 dark:text-gray-300 hover:text-gray-700 dark:hover:text-gray-100"
+                >
+                  Rename
+                </button>
+                <button
+                  onClick={() => {
+                    if (window.confirm(`Delete "${dataset.name}"?`)) onDelete(dataset.id);
+                  }}
+                  className="text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DatasetList;
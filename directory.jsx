@@ -0,0 +1,152 @@
+// User directory: which display names are the same person, and what role each person has.
+// Exports key people by the name they showed at the time, so a rename splits them in two.
+import { parseMemberEvent } from './parser.jsx';
+import { namePattern } from './privacy.jsx';
+
+export const ROLES = [
+  ['team', 'Team'],
+  ['admin', 'Admin'],
+  ['moderator', 'Moderator'],
+  ['bot', 'Bot'],
+];
+
+// Everyone without a role
+export const COMMUNITY_ROLE = 'community';
+
+export const ROLE_LABELS = { ...Object.fromEntries(ROLES), [COMMUNITY_ROLE]: 'Community' };
+
+// Case-insensitive patterns on display names; whole words, so "Admiral", "Modesto" and "Abbot"
+// stay community. Project teams sign as "Name | Project".
+export const DEFAULT_ROLE_RULES = [
+  { role: 'team', pattern: '\\S\\s*\\|\\s*[^|\\s][^|]*$' },
+  { role: 'admin', pattern: '\\badmin\\b' },
+  { role: 'moderator', pattern: '\\b(?:mod|moderator)\\b' },
+  { role: 'bot', pattern: '(?:\\b|_)bot$' },
+];
+
+// aliases: display name -> name it merges into; roles: identity -> role set by hand
+export const DEFAULT_DIRECTORY = { aliases: {}, roles: {}, rules: DEFAULT_ROLE_RULES };
+
+function compileRules(rules) {
+  return rules
+    // An empty pattern would match everyone
+    .filter(({ pattern }) => pattern)
+    .map(({ role, pattern }) => {
+      try {
+        return { role, regex: new RegExp(pattern, 'i') };
+      } catch {
+        // A half-typed pattern in the editor shouldn't break the analysis
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// (Name, account id) -> identity. JSON exports carry account ids, so names used by one account
+// merge on their own, into the latest name; manual aliases apply on top of that. Without an id
+// (reactors, forward sources, member events) a name follows its account only when no other
+// account used it.
+function createResolver(messages, directory) {
+  const latestByAccount = new Map();
+  const accountsByName = new Map();
+  messages.forEach(msg => {
+    if (!msg.sender || !msg.senderId) return;
+    if (!accountsByName.has(msg.sender)) accountsByName.set(msg.sender, new Set());
+    accountsByName.get(msg.sender).add(msg.senderId);
+    const latest = latestByAccount.get(msg.senderId);
+    if (!latest || (msg.timestamp ?? 0) >= latest.timestamp) {
+      latestByAccount.set(msg.senderId, { name: msg.sender, timestamp: msg.timestamp ?? 0 });
+    }
+  });
+
+  const accountOf = name => {
+    const accounts = accountsByName.get(name);
+    return accounts?.size === 1 ? accounts.values().next().value : null;
+  };
+
+  return (name, accountId = null) => {
+    const account = accountId && latestByAccount.has(accountId) ? accountId : accountOf(name);
+    let current = account ? latestByAccount.get(account).name : name;
+    const seen = new Set([current]);
+    while (directory.aliases[current] && !seen.has(directory.aliases[current])) {
+      current = directory.aliases[current];
+      seen.add(current);
+    }
+    return current;
+  };
+}
+
+// identity -> { role, roleSource: 'manual' | 'rule' | null }; a rule matching any alias counts
+function assignRoles(namesByIdentity, directory) {
+  const rules = compileRules(directory.rules);
+  const roles = new Map();
+  namesByIdentity.forEach((names, identity) => {
+    if (directory.roles[identity]) {
+      roles.set(identity, { role: directory.roles[identity], roleSource: 'manual' });
+      return;
+    }
+    const rule = rules.find(({ regex }) => names.some(name => regex.test(name)));
+    roles.set(identity, rule ? { role: rule.role, roleSource: 'rule' } : { role: COMMUNITY_ROLE, roleSource: null });
+  });
+  return roles;
+}
+
+function groupNames(messages, resolve) {
+  const namesByIdentity = new Map();
+  messages.forEach(msg => {
+    if (!msg.sender) return;
+    const identity = resolve(msg.sender, msg.senderId);
+    if (!namesByIdentity.has(identity)) namesByIdentity.set(identity, new Set([identity]));
+    namesByIdentity.get(identity).add(msg.sender);
+  });
+  return new Map(Array.from(namesByIdentity, ([identity, names]) => [identity, Array.from(names)]));
+}
+
+// Messages with senders, reactors and forward sources renamed to their identity, and a role on
+// every user message. Member events are rewritten too, so joins still match later posts.
+export function applyDirectory(messages, directory) {
+  const resolve = createResolver(messages, directory);
+  const roles = assignRoles(groupNames(messages, resolve), directory);
+
+  return messages.map(msg => {
+    if (msg.type !== 'message') {
+      const event = msg.action ? parseMemberEvent(msg.action) : null;
+      if (!event) return msg;
+      const renamed = [event.actor, event.inviter, ...event.members].filter(name => name && resolve(name) !== name);
+      const pattern = namePattern(renamed);
+      return pattern ? { ...msg, action: msg.action.replace(pattern, name => resolve(name)) } : msg;
+    }
+
+    const sender = msg.sender && resolve(msg.sender, msg.senderId);
+    return {
+      ...msg,
+      sender,
+      role: sender ? roles.get(sender).role : COMMUNITY_ROLE,
+      reactions: msg.reactions.map(reaction => ({ ...reaction, from: reaction.from.map(name => resolve(name)) })),
+      forwardedFrom: msg.forwardedFrom && resolve(msg.forwardedFrom),
+    };
+  });
+}
+
+// One entry per person for the directory panel, busiest first
+export function listIdentities(messages, directory) {
+  const resolve = createResolver(messages, directory);
+  const namesByIdentity = groupNames(messages, resolve);
+  const roles = assignRoles(namesByIdentity, directory);
+  const counts = {};
+  messages.forEach(msg => {
+    if (msg.type !== 'message' || !msg.sender) return;
+    const identity = resolve(msg.sender, msg.senderId);
+    counts[identity] = (counts[identity] || 0) + 1;
+  });
+
+  return Array.from(namesByIdentity, ([identity, names]) => ({
+    identity,
+    // Other names; merges made by hand can be undone, ones from account ids can't
+    aliases: names
+      .filter(name => name !== identity)
+      .map(name => ({ name, manual: name in directory.aliases })),
+    messages: counts[identity] || 0,
+    ...roles.get(identity),
+  })).sort((a, b) => b.messages - a.messages);
+}
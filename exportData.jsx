@@ -0,0 +1,257 @@
+// Tables, CSV and XLSX built from metrics, with no browser APIs so the CLI can reuse them.
+// A table is { name, columns: [header...], rows: [[cell...]] }.
+import { EXPORT_TIMEZONE, zonedDate } from './timezone.jsx';
+
+const round = (value, digits = 4) => +value.toFixed(digits);
+
+// File names say what they cover, e.g. chat-stats-My_Group-team-2024-01-01-2024-01-31
+export const exportBaseName = ({ chat, role, startDate, endDate }) =>
+  ['chat-stats', (chat || 'all-chats').replace(/[^\w-]+/g, '_'), role, startDate, endDate].filter(Boolean).join('-');
+
+export function metricsTables(metrics) {
+  const joinsByDate = Object.fromEntries(metrics.growth.timeline.map(day => [day.date, day]));
+  const activeUsersByDate = {};
+  const userDays = {};
+  Object.entries(metrics.userMessagesByDate).forEach(([user, dates]) => {
+    userDays[user] = Object.keys(dates).sort();
+    Object.keys(dates).forEach(date => {
+      activeUsersByDate[date] = (activeUsersByDate[date] || 0) + 1;
+    });
+  });
+
+  const daily = {
+    name: 'Daily',
+    columns: ['date', 'messages', 'active_users', 'links_shared', 'joins', 'leaves'],
+    rows: Object.keys(metrics.messagesByDate).sort().map(date => [
+      date,
+      metrics.messagesByDate[date],
+      activeUsersByDate[date] || 0,
+      metrics.links.sharesByDate[date] || 0,
+      joinsByDate[date]?.joins || 0,
+      joinsByDate[date]?.leaves || 0,
+    ]),
+  };
+
+  const users = {
+    name: 'Users',
+    columns: [
+      'user', 'messages', 'share_of_messages', 'reactions_received', 'reactions_per_message',
+      'active_days', 'first_date', 'last_date',
+    ],
+    rows: Object.entries(metrics.messagesByUser)
+      .sort(([, a], [, b]) => b - a)
+      .map(([user, count]) => {
+        const reactions = metrics.reactionsByUser[user] || 0;
+        const days = userDays[user] || [];
+        return [
+          user,
+          count,
+          round(count / metrics.userMessages),
+          reactions,
+          round(reactions / count),
+          days.length,
+          days[0] || '',
+          days[days.length - 1] || '',
+        ];
+      }),
+  };
+
+  const hourly = {
+    name: 'Hourly',
+    columns: ['hour', 'messages'],
+    rows: Array.from({ length: 24 }, (_, hour) => [hour, metrics.messagesByHour[hour] || 0]),
+  };
+
+  const words = {
+    name: 'Words',
+    columns: ['term', 'kind', 'count'],
+    rows: [
+      ...metrics.topWords.map(([term, count]) => [term, 'word', count]),
+      ...metrics.topBigrams.map(([term, count]) => [term, 'bigram', count]),
+      ...metrics.topTrigrams.map(([term, count]) => [term, 'trigram', count]),
+    ],
+  };
+
+  return { daily, users, hourly, words };
+}
+
+// Wall-clock time in the selected zone, "YYYY-MM-DD HH:MM:SS", matching the dates in the other tables
+const formatTimestamp = (message, timeZone) =>
+  message.timestamp === null ? '' : zonedDate(message, timeZone).toISOString().slice(0, 19).replace('T', ' ');
+
+// Search results (see searchMessages) as a table
+export function messagesTable(results, timeZone = EXPORT_TIMEZONE) {
+  return {
+    name: 'Messages',
+    columns: ['chat', 'id', 'date', 'sender', 'text', 'reply_to', 'forwarded_from', 'media', 'reactions', 'links'],
+    rows: results.map(msg => [
+      msg.chat || '',
+      msg.id,
+      formatTimestamp(msg, timeZone),
+      msg.sender,
+      msg.text,
+      msg.replyTo ? msg.replyTo.id : '',
+      msg.forwardedFrom || '',
+      msg.mediaType || '',
+      msg.reactions.reduce((sum, reaction) => sum + reaction.count, 0),
+      msg.links.join(' '),
+    ]),
+  };
+}
+
+const csvCell = value => {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Spreadsheets run text starting with these (a leading tab or CR included) as a formula; chat text is untrusted
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCsv({ columns, rows }) {
+  return [columns, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+// --- XLSX: a zip (stored, uncompressed) of minimal SpreadsheetML parts ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function zip(files) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ path, content }) => {
+    const name = encoder.encode(path);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    chunks.push(new Uint8Array(local.buffer), name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    output.set(part, position);
+    position += part.length;
+  });
+  return output;
+}
+
+// XML 1.0 forbids most control characters, which do turn up in chat text
+const xmlText = value => String(value)
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function sheetXml({ columns, rows }) {
+  const rowXml = [columns, ...rows].map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => {
+      const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+      if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+      if (value === null || value === undefined || value === '') return '';
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`;
+    });
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + `<sheetData>${rowXml.join('')}</sheetData></worksheet>`;
+}
+
+// One worksheet per table; returns the .xlsx file's bytes
+export function toXlsx(tables) {
+  // Sheet names: at most 31 characters, none of []:*?/\
+  const sheetName = name => name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+  const sheets = tables.map((table, index) => ({ ...table, id: index + 1 }));
+
+  return zip([
+    {
+      path: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" '
+        + 'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + sheets.map(({ id }) => `<Override PartName="/xl/worksheets/sheet${id}.xml" `
+          + 'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('')
+        + '</Types>',
+    },
+    {
+      path: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" '
+        + 'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" '
+        + 'Target="xl/workbook.xml"/></Relationships>',
+    },
+    {
+      path: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+        + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>'
+        + sheets.map(({ id, name }) => `<sheet name="${xmlText(sheetName(name))}" sheetId="${id}" r:id="rId${id}"/>`).join('')
+        + '</sheets></workbook>',
+    },
+    {
+      path: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + sheets.map(({ id }) => `<Relationship Id="rId${id}" `
+          + 'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" '
+          + `Target="worksheets/sheet${id}.xml"/>`).join('')
+        + '</Relationships>',
+    },
+    ...sheets.map(sheet => ({ path: `xl/worksheets/sheet${sheet.id}.xml`, content: sheetXml(sheet) })),
+  ]);
+}
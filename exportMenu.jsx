@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { exportBaseName, metricsTables, messagesTable, toCsv, toXlsx } from './exportData.jsx';
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+export const downloadBlob = (content, type, filename) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Downloads of the current view: metrics for the chat and range, messages matching the browser's filters
+const ExportMenu = ({ metrics, options, filters, messageCount, searchMessages }) => {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const close = (e) => {
+      if (!menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', close);
+    return () => document.removeEventListener('mousedown', close);
+  }, [open]);
+
+  const baseName = exportBaseName(options);
+
+  // Every match on one page, so the file isn't cut at the browser's page size
+  const fetchMessages = () =>
+    searchMessages({
+      ...options,
+      ...filters,
+      sender: filters.sender || null,
+      fromDate: filters.fromDate || null,
+      toDate: filters.toDate || null,
+      domain: filters.domain || null,
+      page: 0,
+      pageSize: Math.max(1, messageCount),
+    }).then((result) => messagesTable(result.results, options.timeZone));
+
+  const exports = [
+    ['Metrics (JSON)', async () => downloadBlob(JSON.stringify(metrics, null, 2), 'application/json', `${baseName}.json`)],
+    ...['daily', 'users', 'hourly', 'words'].map((key) => [
+      `${key[0].toUpperCase()}${key.slice(1)} (CSV)`,
+      async () => downloadBlob(toCsv(metricsTables(metrics)[key]), 'text/csv', `${baseName}-${key}.csv`),
+    ]),
+    ['Filtered messages (CSV)', async () => downloadBlob(toCsv(await fetchMessages()), 'text/csv', `${baseName}-messages.csv`)],
+    [
+      'Workbook (XLSX)',
+      async () => {
+        const tables = [...Object.values(metricsTables(metrics)), await fetchMessages()];
+        downloadBlob(toXlsx(tables), XLSX_TYPE, `${baseName}.xlsx`);
+      },
+    ],
+  ];
+
+  const run = async (exportFile) => {
+    setOpen(false);
+    setBusy(true);
+    setError(null);
+    try {
+      await exportFile();
+    } catch (err) {
+      setError(`Could not export: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => {
+          setOpen(!open);
+          setError(null);
+        }}
+        disabled={!metrics || busy}
+        className="px-3 py-1 rounded-md text-sm font-semibold bg-indigo-50 text-indigo-700 hover:bg-indigo-100 disabled:opacity-50"
+      >
+        {busy ? 'Exporting...' : 'Export'}
+      </button>
+      {error && !open && (
+        <p className="absolute right-0 mt-2 w-56 px-4 py-2 bg-white dark:bg-gray-800 rounded-md shadow-lg border dark:border-gray-600 text-sm text-red-600 dark:text-red-400 z-20">
+          {error}
+        </p>
+      )}
+      {open && (
+        <div className="absolute right-0 mt-2 w-56 bg-white dark:bg-gray-800 rounded-md shadow-lg border dark:border-gray-600 py-1 z-20">
+          {exports.map(([label, exportFile]) => (
+            <button
+              key={label}
+              onClick={() => run(exportFile)}
+              className="block w-full px-4 py-2 text-left text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+              {label}
+            </button>
+          ))}
+          <p className="px-4 py-2 text-xs text-gray-500 dark:text-gray-400 border-t dark:border-gray-600">
+            Limited to the selected chat, date range and message filters
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+
+const FileManager = ({ files, messageCount, duplicates, onAdd, onRemove }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow dark:shadow-lg mb-4">
+      <div className="px-4 py-3 flex justify-between items-center">
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="flex items-center space-x-2 text-sm font-medium text-gray-900 dark:text-gray-100"
+        >
+          <span className={`transform transition-transform ${isOpen ? 'rotate-180' : ''}`}>▼</span>
+          <span>
+            {files.length} file(s), {messageCount.toLocaleString()} messages
+          </span>
+          {duplicates > 0 && (
+            <span className="text-gray-500 dark:text-gray-400">
+              ({duplicates.toLocaleString()} overlapping duplicates dropped)
+            </span>
+          )}
+        </button>
+        <label className="bg-indigo-50 text-indigo-700 px-3 py-1 rounded-md text-sm font-semibold hover:bg-indigo-100 cursor-pointer">
+          Add files
+          <input
+            type="file"
+            multiple
+            accept=".html,.json"
+            onChange={onAdd}
+            className="hidden"
+          />
+        </label>
+      </div>
+      {isOpen && (
+        <div className="px-4 pb-4">
+          {files.map((file) => (
+            <div
+              key={file.id}
+              className="flex items-center justify-between py-2 border-b dark:border-gray-600 last:border-0"
+            >
+              <div>
+                <p className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                  {file.name}
+                  {file.chatName && (
+                    <span className="ml-2 text-gray-500 dark:text-gray-400">{file.chatName}</span>
+                  )}
+                </p>
+                {file.error ? (
+                  <p className="text-sm text-red-600 dark:text-red-400">{file.error}</p>
+                ) : (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {file.userMessages.toLocaleString()} messages
+                    {file.firstDate && `, ${file.firstDate} to ${file.lastDate}`}
+                  </p>
+                )}
+              </div>
+              <button
+                onClick={() => onRemove(file.id)}
+                className="px-2 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                title={`Remove ${file.name}`}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FileManager;
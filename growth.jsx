@@ -0,0 +1,165 @@
+import React from 'react';
+import {
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { COLORS, CollapsibleSection, StatsCard } from './components.jsx';
+
+const SOURCE_LABELS = { link: 'Invite link', request: 'Join request', added: 'Added by a member' };
+
+const percent = (value) => (value === null ? '–' : `${Math.round(value * 100)}%`);
+
+const RetentionCell = ({ value }) => (
+  <td className="px-3 py-2 text-center text-sm text-gray-900 dark:text-gray-100">
+    <div
+      className="rounded px-2 py-1"
+      style={{ backgroundColor: value === null ? 'transparent' : `rgba(79, 70, 229, ${0.1 + value * 0.8})` }}
+    >
+      {percent(value)}
+    </div>
+  </td>
+);
+
+// Joins, leaves and whether new members stick around, for the current chat and date range
+const Growth = ({ growth, onSelectUser }) => (
+  <div className="space-y-6">
+    <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+      <StatsCard title="Joined" value={growth.joins.toLocaleString()} />
+      <StatsCard title="Left or removed" value={growth.leaves.toLocaleString()} />
+      <StatsCard
+        title="Net change"
+        value={`${growth.net > 0 ? '+' : ''}${growth.net.toLocaleString()}`}
+        subtitle="members, from service messages in range"
+      />
+    </div>
+
+    <CollapsibleSection title="Joins vs Leaves">
+      {growth.timeline.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No membership changes in this range</p>
+      ) : (
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={growth.timeline} className="dark:bg-gray-800">
+              <CartesianGrid stroke="#4a5568" strokeDasharray="3 3" />
+              <XAxis dataKey="date" stroke="#718096" tick={{ fill: '#718096' }} />
+              <YAxis yAxisId="events" stroke="#718096" tick={{ fill: '#718096' }} />
+              <YAxis yAxisId="members" orientation="right" stroke="#718096" tick={{ fill: '#718096' }} />
+              <Tooltip contentStyle={{ backgroundColor: '#2d3748', color: '#e2e8f0' }} />
+              <Legend wrapperStyle={{ color: '#718096' }} />
+              <Bar yAxisId="events" dataKey="joins" name="Joins" fill={COLORS[1]} />
+              <Bar yAxisId="events" dataKey="leaves" name="Leaves" fill={COLORS[3]} />
+              <Line
+                yAxisId="members"
+                type="stepAfter"
+                dataKey="members"
+                name="Net membership change"
+                stroke={COLORS[0]}
+                strokeWidth={2}
+                dot={false}
+              />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </CollapsibleSection>
+
+    <div className="grid md:grid-cols-2 gap-4">
+      <CollapsibleSection title="How People Joined">
+        {growth.inviteSources.map(({ source, count }) => (
+          <div
+            key={source}
+            className="flex items-center justify-between py-2 border-b dark:border-gray-600 last:border-0"
+          >
+            <span className="text-sm font-medium text-gray-900 dark:text-gray-100">{SOURCE_LABELS[source]}</span>
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              {count} ({percent(growth.joins > 0 ? count / growth.joins : 0)})
+            </span>
+          </div>
+        ))}
+      </CollapsibleSection>
+      <CollapsibleSection title="Top Inviters">
+        {growth.topInviters.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">Nobody added members in this range</p>
+        ) : (
+          growth.topInviters.map(([user, count], rank) => (
+            <div
+              key={user}
+              className="flex items-center justify-between py-2 border-b dark:border-gray-600 last:border-0"
+            >
+              <button
+                onClick={() => onSelectUser(user)}
+                className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline text-left"
+              >
+                {rank + 1}. {user}
+              </button>
+              <span className="text-sm text-gray-500 dark:text-gray-400">{count} members</span>
+            </div>
+          ))
+        )}
+      </CollapsibleSection>
+    </div>
+
+    <CollapsibleSection title="Cohort Retention (by week joined)">
+      {growth.cohorts.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No joins in this range</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full">
+            <thead>
+              <tr className="text-xs text-gray-500 dark:text-gray-400">
+                <th className="px-3 py-2 text-left">Week of</th>
+                <th className="px-3 py-2 text-right">Joined</th>
+                <th className="px-3 py-2">Ever posted</th>
+                {growth.retentionDays.map((days) => (
+                  <th key={days} className="px-3 py-2">
+                    Posting after {days} days
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {growth.cohorts.map((cohort) => (
+                <tr key={cohort.week} className="border-t dark:border-gray-600">
+                  <td className="px-3 py-2 text-sm text-gray-900 dark:text-gray-100">{cohort.week}</td>
+                  <td className="px-3 py-2 text-sm text-right text-gray-900 dark:text-gray-100">{cohort.joined}</td>
+                  <RetentionCell value={cohort.posted} />
+                  {cohort.retention.map((value, index) => (
+                    <RetentionCell key={growth.retentionDays[index]} value={value} />
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+            – means the range ends before the whole cohort reached that age
+          </p>
+        </div>
+      )}
+    </CollapsibleSection>
+
+    {growth.settingsChanges.length > 0 && (
+      <CollapsibleSection title="Group Photo and Title Changes">
+        {growth.settingsChanges.map((change, index) => (
+          <div
+            key={index}
+            className="flex items-center justify-between py-2 border-b dark:border-gray-600 last:border-0"
+          >
+            <span className="text-sm text-gray-900 dark:text-gray-100">
+              {change.actor} {change.kind === 'title' ? `renamed the group to «${change.title}»` : 'changed the group photo'}
+            </span>
+            <span className="text-sm text-gray-500 dark:text-gray-400">{change.date}</span>
+          </div>
+        ))}
+      </CollapsibleSection>
+    )}
+  </div>
+);
+
+export default Growth;
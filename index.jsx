@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import ReactDOM from 'react-dom/client';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
@@ -17,101 +17,104 @@ import {
   Pie,
   Cell,
 } from 'recharts';
-import { analyzeChatLog, aggregateMetrics } from './server.jsx';
+import { createAnalysisClient, AnalysisCancelledError } from './analysisClient.jsx';
 import './index.css';
 import DarkModeToggle from './darkMode.jsx';
+import ExportMenu from './exportMenu.jsx';
+import ReportDialog from './reportDialog.jsx';
+import PrivacySettings from './privacySettings.jsx';
+import UserDirectory from './userDirectory.jsx';
+import RoleBreakdown from './roleBreakdown.jsx';
+import { DEFAULT_DIRECTORY, ROLE_LABELS } from './directory.jsx';
+import {
+  COLORS,
+  CollapsibleSection,
+  StatsCard,
+  SortableList,
+} from './components.jsx';
+import FileManager from './fileManager.jsx';
+import ReplyThreads from './replyThreads.jsx';
+import ResponseTimes from './responseTimes.jsx';
+import Growth from './growth.jsx';
+import Reactions from './reactions.jsx';
+import ContentBreakdown from './contentBreakdown.jsx';
+import TextInsights from './textInsights.jsx';
+import Trends from './trends.jsx';
+import LinkAnalytics from './linkAnalytics.jsx';
+import MessageBrowser, { EMPTY_MESSAGE_FILTERS } from './messageBrowser.jsx';
+import { DEFAULT_TEXT_OPTIONS } from './textAnalysis.jsx';
+import DatasetList from './datasetList.jsx';
+import ChatComparison from './chatComparison.jsx';
+import UserProfile from './userProfile.jsx';
+import {
+  listDatasets,
+  renameDataset,
+  deleteDataset,
+  getStorageUsage,
+} from './storage.jsx';
+import {
+  EXPORT_TIMEZONE,
+  LOCAL_TIMEZONE,
+  UTC_TIMEZONE,
+  listTimeZones,
+  timeZoneLabel,
+  toDateKey,
+  fromDateKey,
+} from './timezone.jsx';
 
-const COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff8042', '#a4de6c'];
-
-const CollapsibleSection = ({ title, children, defaultOpen = true }) => {
-  const [isOpen, setIsOpen] = useState(defaultOpen);
-
-  return (
-    <div className="bg-white dark:bg-gray-800 rounded-lg shadow dark:shadow-lg mb-4">
-      <button
-        onClick={() => setIsOpen(!isOpen)}
-        className="w-full px-4 py-3 flex justify-between items-center hover:bg-gray-50 dark:hover:bg-gray-700 rounded-t-lg"
-      >
-        <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">{title}</h3>
-        <span className={`transform transition-transform ${isOpen ? 'rotate-180' : ''}`}>
-          ▼
-        </span>
-      </button>
-      {isOpen && <div className="px-4 pb-4">{children}</div>}
-    </div>
-  );
-};
+// Presets are anchored to the last day in the export, not today
+const RANGE_PRESETS = [
+  { id: 'all', label: 'All time' },
+  { id: 'last7', label: 'Last 7 days', days: 7 },
+  { id: 'last30', label: 'Last 30 days', days: 30 },
+  { id: 'last90', label: 'Last 90 days', days: 90 },
+  { id: 'month', label: 'This month' },
+  { id: 'custom', label: 'Custom' },
+];
 
-const StatsCard = ({ title, value, subtitle }) => (
-  <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow dark:shadow-lg hover:shadow-md dark:hover:shadow-xl transition-shadow">
-    <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">{title}</h3>
-    <p className="mt-2 text-3xl font-semibold text-gray-900 dark:text-gray-100">{value}</p>
-    {subtitle && <p className="mt-1 text-sm text-gray-500 dark:text-gray-300">{subtitle}</p>}
-  </div>
-);
-
-const ScrollableList = ({ items, renderItem, maxHeight = "96" }) => (
-  <div className={`overflow-y-auto max-h-${maxHeight} pr-2`}>
-    {items.map((item, index) => renderItem(item, index))}
-  </div>
-);
-
-const SortableList = ({ items, renderItem, sortOptions, defaultSort }) => {
-  const [sortKey, setSortKey] = useState(defaultSort);
-  const [sortDirection, setSortDirection] = useState('desc');
-
-  const toggleSort = (key) => {
-    if (sortKey === key) {
-      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
-    } else {
-      setSortKey(key);
-      setSortDirection('desc');
-    }
-  };
+const presetRange = (presetId, { minDate, maxDate }) => {
+  const preset = RANGE_PRESETS.find(({ id }) => id === presetId);
+  let startDate = minDate;
 
-  const sortedItems = [...items].sort((a, b) => {
-    const aValue = sortKey === 'name' ? a[0] : a[1];
-    const bValue = sortKey === 'name' ? b[0] : b[1];
-    return sortDirection === 'asc'
-      ? aValue > bValue
-        ? 1
-        : -1
-      : aValue < bValue
-      ? 1
-      : -1;
-  });
+  if (preset.days) {
+    startDate = new Date(maxDate.getFullYear(), maxDate.getMonth(), maxDate.getDate() - preset.days + 1);
+  } else if (preset.id === 'month') {
+    startDate = new Date(maxDate.getFullYear(), maxDate.getMonth(), 1);
+  }
 
-  return (
-    <div>
-      <div className="flex space-x-4 mb-4">
-        {sortOptions.map((option) => (
-          <button
-            key={option.key}
-            onClick={() => toggleSort(option.key)}
-            className={`px-3 py-1 rounded text-sm ${
-              sortKey === option.key
-                ? 'bg-indigo-100 dark:bg-indigo-900 text-indigo-700 dark:text-indigo-300'
-                : 'text-gray-500 dark:text-gray-300 hover:text-gray-700 dark:hover:text-gray-100'
-            }`}
-          >
-            {option.label}
-            {sortKey === option.key && (
-              <span className="ml-1">{sortDirection === 'asc' ? '↑' : '↓'}</span>
-            )}
-          </button>
-        ))}
-      </div>
-      <ScrollableList items={sortedItems} renderItem={renderItem} />
-    </div>
-  );
+  return { startDate: startDate < minDate ? minDate : startDate, endDate: maxDate };
 };
 
 const ChatDashboard = () => {
-  const [metrics, setMetrics] = useState(null);
+  // A new object on every rebuild, so the views recompute even when the counts stay the same
+  const [messageCounts, setMessageCounts] = useState({ total: 0, user: 0 });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [selectedFiles, setSelectedFiles] = useState([]);
+  const [files, setFiles] = useState([]);
+  const [duplicates, setDuplicates] = useState(0);
+  const [chats, setChats] = useState([]);
+  const [selectedChat, setSelectedChat] = useState(null);
+  const [profileUser, setProfileUser] = useState(null);
   const [activeTab, setActiveTab] = useState('overview');
+  const [messageFilters, setMessageFilters] = useState(EMPTY_MESSAGE_FILTERS);
+  const [reportOpen, setReportOpen] = useState(false);
+  const [privacy, setPrivacy] = useState(false);
+  const [privacyOpen, setPrivacyOpen] = useState(false);
+  // Aliases, roles and role rules; kept by the worker and saved with the dataset
+  const [directory, setDirectory] = useState(DEFAULT_DIRECTORY);
+  const [identities, setIdentities] = useState([]);
+  const [selectedRole, setSelectedRole] = useState('');
+  const [timeZone, setTimeZone] = useState(EXPORT_TIMEZONE);
+  // Stop-word languages and excluded terms are a preference, so they outlive the dataset
+  const [textOptions, setTextOptions] = useState(() => {
+    try {
+      const saved = localStorage.getItem('textOptions');
+      return saved ? { ...DEFAULT_TEXT_OPTIONS, ...JSON.parse(saved) } : DEFAULT_TEXT_OPTIONS;
+    } catch {
+      // A corrupted entry shouldn't keep the dashboard from loading
+      return DEFAULT_TEXT_OPTIONS;
+    }
+  });
 
   // Enhanced date range state
   const [startDate, setStartDate] = useState(null);
@@ -120,57 +123,257 @@ const ChatDashboard = () => {
     minDate: null,
     maxDate: null,
   });
+  const [rangePreset, setRangePreset] = useState('all');
+
+  const [progress, setProgress] = useState(null);
+  const [metrics, setMetrics] = useState(null);
+  const [dateBounds, setDateBounds] = useState({ minDate: null, maxDate: null });
+  const analysisClient = useRef(null);
+  const metricsRequest = useRef(0);
+
+  // Saved datasets; `dataset` is the one currently open, if any
+  const [datasets, setDatasets] = useState([]);
+  const [storageUsage, setStorageUsage] = useState(null);
+  const [dataset, setDataset] = useState(null);
+  const [datasetName, setDatasetName] = useState('');
+
+  const refreshDatasets = async () => {
+    try {
+      setDatasets(await listDatasets());
+      setStorageUsage(await getStorageUsage());
+    } catch (err) {
+      console.error('Error reading saved datasets:', err);
+    }
+  };
 
   useEffect(() => {
-    const analyzeFiles = async () => {
-      if (selectedFiles.length === 0) {
-        setMetrics(null);
-        setLoading(false);
-        return;
-      }
+    analysisClient.current = createAnalysisClient();
+    setLoading(false);
+    refreshDatasets();
+    return () => analysisClient.current.terminate();
+  }, []);
+
+  // The worker answers every file change with message counts and per-file summaries
+  const applyFileChange = (result) => {
+    setFiles(result.files);
+    setMessageCounts(result.messageCounts);
+    setDuplicates(result.duplicates);
+    setChats(result.chats);
+    setPrivacy(result.privacy);
+    setDirectory(result.directory);
+    setIdentities(result.identities);
+    // Separate groups are never combined unless the viewer asks for it
+    setSelectedChat((current) =>
+      result.chats.some((chat) => chat.name === current) ? current : result.chats[0]?.name ?? null
+    );
+    if (result.messageCounts.total === 0 && result.files.some((file) => file.error)) {
+      setError('No messages found in the selected files');
+    }
+
+    // Initial date range is picked up from the new bounds below
+    setStartDate(null);
+    setEndDate(null);
+    setRangePreset('all');
+  };
+
+  const addFiles = async (newFiles) => {
+    setLoading(true);
+    setError(null);
+    setProgress({ filesDone: 0, totalFiles: newFiles.length, messagesParsed: 0 });
 
-      setLoading(true);
-      try {
-        const filePromises = selectedFiles.map(async (file) => {
-          const content = await file.text();
-          return content;
-        });
-
-        const fileContents = await Promise.all(filePromises);
-        const results = await aggregateMetrics(fileContents);
-        setMetrics(results);
-
-        // Find the absolute minimum and maximum dates
-        const allDates = Object.keys(results.messagesByDate);
-        const absoluteMinDate = new Date(
-          Math.min(...allDates.map((date) => new Date(date)))
-        );
-        const absoluteMaxDate = new Date(
-          Math.max(...allDates.map((date) => new Date(date)))
-        );
-
-        // Update date range state
-        setDateRange({
-          minDate: absoluteMinDate,
-          maxDate: absoluteMaxDate,
-        });
-
-        // Set initial date range to full range
-        setStartDate(absoluteMinDate);
-        setEndDate(absoluteMaxDate);
-      } catch (err) {
+    try {
+      applyFileChange(await analysisClient.current.addFiles(newFiles, setProgress));
+      if (dataset) await saveCurrentDataset(dataset.name);
+    } catch (err) {
+      // Cancelling keeps whatever was loaded before
+      if (!(err instanceof AnalysisCancelledError)) {
         setError(err.message);
         console.error('Error analyzing chats:', err);
-      } finally {
-        setLoading(false);
       }
-    };
+    } finally {
+      setLoading(false);
+      setProgress(null);
+    }
+  };
+
+  const removeFile = async (fileId) => {
+    try {
+      applyFileChange(await analysisClient.current.removeFile(fileId));
+      if (dataset) await saveCurrentDataset(dataset.name);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Saves over the open dataset, or creates a new one
+  const saveCurrentDataset = async (name) => {
+    try {
+      const saved = await analysisClient.current.saveDataset(name, dataset?.id);
+      setDataset(saved);
+      setDatasetName(saved.name);
+      await refreshDatasets();
+    } catch (err) {
+      setError(`Could not save dataset: ${err.message}`);
+    }
+  };
+
+  const openDataset = async (datasetId) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await analysisClient.current.openDataset(datasetId);
+      applyFileChange(result);
+      setDataset(result.dataset);
+      setDatasetName(result.dataset.name);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-    analyzeFiles();
-  }, [selectedFiles]);
+  const closeDataset = async () => {
+    try {
+      applyFileChange(await analysisClient.current.clear());
+      setDataset(null);
+      setDatasetName('');
+      await refreshDatasets();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRenameDataset = async (datasetId, name) => {
+    try {
+      const renamed = await renameDataset(datasetId, name);
+      if (dataset?.id === datasetId) setDataset(renamed);
+      await refreshDatasets();
+    } catch (err) {
+      setError(`Could not rename dataset: ${err.message}`);
+    }
+  };
+
+  const handleDeleteDataset = async (datasetId) => {
+    try {
+      await deleteDataset(datasetId);
+      if (dataset?.id === datasetId) setDataset(null);
+      await refreshDatasets();
+    } catch (err) {
+      setError(`Could not delete dataset: ${err.message}`);
+    }
+  };
+
+  // The worker re-masks the messages; the open dataset keeps the setting and its salt
+  const changePrivacy = async (enabled) => {
+    try {
+      const result = await analysisClient.current.setPrivacy(enabled);
+      setMessageCounts(result.messageCounts);
+      setChats(result.chats);
+      setPrivacy(result.privacy);
+      setIdentities(result.identities);
+      // Names picked before the switch don't exist in the new view
+      setProfileUser(null);
+      setMessageFilters(EMPTY_MESSAGE_FILTERS);
+      if (dataset) await saveCurrentDataset(dataset.name);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const changeDirectory = async (next) => {
+    try {
+      const result = await analysisClient.current.setDirectory(next);
+      setMessageCounts(result.messageCounts);
+      setDirectory(result.directory);
+      setIdentities(result.identities);
+      if (dataset) await saveCurrentDataset(dataset.name);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const messageCount = messageCounts.user;
+
+  useEffect(() => {
+    localStorage.setItem('textOptions', JSON.stringify(textOptions));
+  }, [textOptions]);
+
+  // Timezone, date range, role and word settings shared by every view
+  const rangeOptions = useMemo(
+    () => ({
+      timeZone,
+      startDate: startDate ? toDateKey(startDate) : null,
+      endDate: endDate ? toDateKey(endDate) : null,
+      role: selectedRole || null,
+      text: textOptions,
+    }),
+    [timeZone, startDate, endDate, selectedRole, textOptions]
+  );
+
+  // Every tab is computed in the worker from the messages inside the selected range
+  useEffect(() => {
+    if (messageCounts.total === 0) {
+      setMetrics(null);
+      return;
+    }
+
+    const requestId = ++metricsRequest.current;
+    analysisClient.current
+      .computeMetrics({ ...rangeOptions, chat: selectedChat })
+      .then((result) => {
+        // Drop answers to requests that were superseded while computing
+        if (requestId !== metricsRequest.current) return;
+        setMetrics(result.metrics);
+        setDateBounds(result.dateBounds);
+      })
+      .catch((err) => {
+        if (!(err instanceof AnalysisCancelledError)) setError(err.message);
+      });
+  }, [messageCounts, rangeOptions, selectedChat]);
+
+  useEffect(() => {
+    if (!dateBounds.minDate) return;
+
+    const absoluteMinDate = fromDateKey(dateBounds.minDate);
+    const absoluteMaxDate = fromDateKey(dateBounds.maxDate);
+
+    // Update date range state
+    setDateRange({
+      minDate: absoluteMinDate,
+      maxDate: absoluteMaxDate,
+    });
+
+    // Set initial date range to full range
+    setStartDate((current) => current || absoluteMinDate);
+    setEndDate((current) => current || absoluteMaxDate);
+  }, [dateBounds]);
+
+  const applyRangePreset = (preset) => {
+    setRangePreset(preset);
+    if (preset === 'custom' || !dateRange.maxDate) return;
+
+    const range = presetRange(preset, dateRange);
+    setStartDate(range.startDate);
+    setEndDate(range.endDate);
+  };
+
+  // Names in other tabs link to the user's profile
+  const openProfile = (user) => {
+    setProfileUser(user);
+    setActiveTab('users');
+  };
+
+  // Charts and word lists link to the messages behind them
+  const openMessages = (filters) => {
+    setMessageFilters({ ...EMPTY_MESSAGE_FILTERS, ...filters });
+    setActiveTab('messages');
+  };
 
   const handleFileSelect = async (event) => {
-    setSelectedFiles(Array.from(event.target.files));
+    const newFiles = Array.from(event.target.files);
+    // Allow picking the same files again after a cancel or removal
+    event.target.value = '';
+    if (newFiles.length > 0) addFiles(newFiles);
   };
 
   const tabs = [
@@ -178,8 +381,49 @@ const ChatDashboard = () => {
     { id: 'activity', label: 'Activity' },
     { id: 'users', label: 'Users' },
     { id: 'content', label: 'Content' },
+    { id: 'messages', label: 'Messages' },
+    { id: 'trends', label: 'Trends' },
+    { id: 'reactions', label: 'Reactions' },
+    { id: 'threads', label: 'Threads' },
+    { id: 'responses', label: 'Response Times' },
+    { id: 'growth', label: 'Growth' },
+    ...(chats.length > 1 ? [{ id: 'compare', label: 'Compare Chats' }] : []),
   ];
 
+  // If loading, show progress of the running analysis
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-screen bg-gray-50 dark:bg-gray-900">
+        <div className="w-full max-w-md px-4 text-center">
+          <div className="text-xl text-gray-600 dark:text-gray-400">
+            Analyzing chat logs...
+          </div>
+          {progress && (
+            <>
+              <div className="mt-4 h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-indigo-600 dark:bg-indigo-500 transition-all"
+                  style={{ width: `${(progress.filesDone / progress.totalFiles) * 100}%` }}
+                />
+              </div>
+              <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                {progress.filesDone} of {progress.totalFiles} files,{' '}
+                {progress.messagesParsed.toLocaleString()} messages parsed
+                {progress.currentFile && ` (${progress.currentFile})`}
+              </p>
+              <button
+                onClick={() => analysisClient.current.cancel()}
+                className="mt-4 px-4 py-2 rounded-md text-sm bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600"
+              >
+                Cancel
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   // If no metrics, show file upload screen
   if (!metrics) {
     return (
@@ -209,12 +453,15 @@ const ChatDashboard = () => {
                 Click to select files or drag and drop
               </p>
               <p className="text-sm text-gray-500 dark:text-gray-500 mb-6">
-                HTML files only
+                HTML pages or result.json from Telegram Desktop
               </p>
+              {error && (
+                <p className="text-sm text-red-600 dark:text-red-400 mb-4">{error}</p>
+              )}
               <input
                 type="file"
                 multiple
-                accept=".html"
+                accept=".html,.json"
                 onChange={handleFileSelect}
                 className="hidden"
                 id="file-upload"
@@ -225,15 +472,15 @@ const ChatDashboard = () => {
               >
                 Select Files
               </label>
-              {selectedFiles.length > 0 && (
+              {files.length > 0 && (
                 <div className="mt-8 w-full">
                   <h3 className="text-sm font-medium text-gray-900 dark:text-gray-100 mb-2">
-                    Selected Files ({selectedFiles.length}):
+                    Selected Files ({files.length}):
                   </h3>
                   <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
-                    {Array.from(selectedFiles).map((file, index) => (
+                    {files.map((file) => (
                       <div
-                        key={index}
+                        key={file.id}
                         className="flex items-center py-2 border-b dark:border-gray-600 last:border-0"
                       >
                         <svg
@@ -258,23 +505,19 @@ const ChatDashboard = () => {
                 </div>
               )}
             </div>
+            <DatasetList
+              datasets={datasets}
+              usage={storageUsage}
+              onOpen={openDataset}
+              onRename={handleRenameDataset}
+              onDelete={handleDeleteDataset}
+            />
           </div>
         </div>
       </div>
     );
   }
 
-  // If loading, show loading screen
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center h-screen bg-gray-50 dark:bg-gray-900">
-        <div className="text-xl text-gray-600 dark:text-gray-400">
-          Analyzing chat logs...
-        </div>
-      </div>
-    );
-  }
-
   // If error, show error screen
   if (error) {
     return (
@@ -282,6 +525,9 @@ const ChatDashboard = () => {
         <div className="p-4 bg-red-100 dark:bg-red-900 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-200 rounded max-w-lg">
           <h3 className="font-medium mb-2">Error Analyzing Chats</h3>
           <p>{error}</p>
+          <button onClick={() => setError(null)} className="mt-2 text-sm underline">
+            Back to dashboard
+          </button>
         </div>
       </div>
     );
@@ -307,38 +553,68 @@ const ChatDashboard = () => {
     }))
     .sort((a, b) => a.date.localeCompare(b.date));
 
-  // Filter daily data based on selected range
-  const filteredDailyData = dailyData.filter(({ date }) => {
-    const messageDate = new Date(date);
-    return (!startDate || messageDate >= startDate) && (!endDate || messageDate <= endDate);
-  });
-
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 pb-12">
       {/* Sticky header with file upload and tabs */}
       <div className="sticky top-0 z-10 bg-white dark:bg-gray-800 shadow dark:shadow-lg">
         <div className="max-w-7xl mx-auto px-4 py-4 flex justify-between items-center">
           <div className="flex items-center space-x-4">
-            <label className="flex-shrink-0">
-              <span className="sr-only">Choose files</span>
+            <h1 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+              Chat Log Analysis
+            </h1>
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                saveCurrentDataset(datasetName.trim());
+              }}
+              className="flex items-center space-x-2"
+            >
               <input
-                type="file"
-                multiple
-                accept=".html"
-                onChange={handleFileSelect}
-                className="block w-full text-sm text-gray-500
-                  file:mr-4 file:py-2 file:px-4
-                  file:rounded-md file:border-0
-                  file:text-sm file:font-semibold
-                  file:bg-indigo-50 file:text-indigo-700
-                  hover:file:bg-indigo-100"
+                value={datasetName}
+                onChange={(e) => setDatasetName(e.target.value)}
+                placeholder="Dataset name"
+                className="px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
               />
-            </label>
-            <span className="text-sm text-gray-500 dark:text-gray-300">
-              {selectedFiles.length} file(s) selected
-            </span>
+              <button
+                type="submit"
+                className="px-3 py-1 rounded-md text-sm font-semibold bg-indigo-50 text-indigo-700 hover:bg-indigo-100"
+              >
+                {dataset ? 'Save' : 'Save dataset'}
+              </button>
+              <button
+                type="button"
+                onClick={closeDataset}
+                className="px-3 py-1 rounded-md text-sm text-gray-500 dark:text-gray-300 hover:text-gray-700 dark:hover:text-gray-100"
+              >
+                Close
+              </button>
+            </form>
+          </div>
+          <div className="flex items-center space-x-4">
+            <ExportMenu
+              metrics={metrics}
+              options={{ ...rangeOptions, chat: selectedChat }}
+              filters={messageFilters}
+              messageCount={messageCount}
+              searchMessages={(options) => analysisClient.current.searchMessages(options)}
+            />
+            <button
+              onClick={() => setReportOpen(true)}
+              disabled={!metrics}
+              className="px-3 py-1 rounded-md text-sm font-semibold bg-indigo-50 text-indigo-700 hover:bg-indigo-100 disabled:opacity-50"
+            >
+              Generate report
+            </button>
+            <button
+              onClick={() => setPrivacyOpen(true)}
+              className={`px-3 py-1 rounded-md text-sm font-semibold ${
+                privacy ? 'bg-green-100 text-green-800' : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300'
+              }`}
+            >
+              {privacy ? 'Privacy on' : 'Privacy'}
+            </button>
+            <DarkModeToggle />
           </div>
-          <DarkModeToggle />
         </div>
         <div className="border-t dark:border-gray-700">
           <div className="max-w-7xl mx-auto px-4">
@@ -361,8 +637,30 @@ const ChatDashboard = () => {
         </div>
       </div>
 
-      {/* Date range picker */}
+      {/* Loaded files and date range picker */}
       <div className="max-w-7xl mx-auto px-4 py-4">
+        <FileManager
+          files={files}
+          messageCount={messageCount}
+          duplicates={duplicates}
+          onAdd={handleFileSelect}
+          onRemove={removeFile}
+        />
+        <div className="flex flex-wrap gap-2 mb-4">
+          {RANGE_PRESETS.map((preset) => (
+            <button
+              key={preset.id}
+              onClick={() => applyRangePreset(preset.id)}
+              className={`px-3 py-1 rounded text-sm ${
+                rangePreset === preset.id
+                  ? 'bg-indigo-100 dark:bg-indigo-900 text-indigo-700 dark:text-indigo-300'
+                  : 'text-gray-500 dark:text-gray-300 hover:text-gray-700 dark:hover:text-gray-100'
+              }`}
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
         <div className="flex space-x-4 mb-4">
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
@@ -370,7 +668,10 @@ const ChatDashboard = () => {
             </label>
             <DatePicker
               selected={startDate}
-              onChange={(date) => setStartDate(date)}
+              onChange={(date) => {
+                setStartDate(date);
+                setRangePreset('custom');
+              }}
               selectsStart
               startDate={startDate}
               endDate={endDate}
@@ -388,7 +689,10 @@ const ChatDashboard = () => {
             </label>
             <DatePicker
               selected={endDate}
-              onChange={(date) => setEndDate(date)}
+              onChange={(date) => {
+                setEndDate(date);
+                setRangePreset('custom');
+              }}
               selectsEnd
               startDate={startDate}
               endDate={endDate}
@@ -400,18 +704,111 @@ const ChatDashboard = () => {
                 sm:text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
             />
           </div>
+          {chats.length > 1 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Chat
+              </label>
+              <select
+                value={selectedChat ?? ''}
+                onChange={(e) => setSelectedChat(e.target.value || null)}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm
+                  focus:outline-none focus:ring-indigo-500 dark:focus:ring-indigo-400
+                  focus:border-indigo-500 dark:focus:border-indigo-400
+                  sm:text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+              >
+                {chats.map((chat) => (
+                  <option key={chat.name} value={chat.name}>
+                    {chat.name} ({chat.messages.toLocaleString()})
+                  </option>
+                ))}
+                <option value="">All chats combined</option>
+              </select>
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Role
+            </label>
+            <select
+              value={selectedRole}
+              onChange={(e) => setSelectedRole(e.target.value)}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm
+                focus:outline-none focus:ring-indigo-500 dark:focus:ring-indigo-400
+                focus:border-indigo-500 dark:focus:border-indigo-400
+                sm:text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+            >
+              <option value="">Everyone</option>
+              {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                <option key={role} value={role}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Timezone
+            </label>
+            <select
+              value={timeZone}
+              onChange={(e) => setTimeZone(e.target.value)}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm
+                focus:outline-none focus:ring-indigo-500 dark:focus:ring-indigo-400
+                focus:border-indigo-500 dark:focus:border-indigo-400
+                sm:text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+            >
+              {[EXPORT_TIMEZONE, LOCAL_TIMEZONE, UTC_TIMEZONE].map((zone) => (
+                <option key={zone} value={zone}>
+                  {timeZoneLabel(zone)}
+                </option>
+              ))}
+              <optgroup label="IANA zones">
+                {listTimeZones()
+                  .filter((zone) => zone !== UTC_TIMEZONE)
+                  .map((zone) => (
+                    <option key={zone} value={zone}>
+                      {zone}
+                    </option>
+                  ))}
+              </optgroup>
+            </select>
+          </div>
         </div>
       </div>
 
+      {reportOpen && (
+        <ReportDialog
+          metrics={metrics}
+          options={{ ...rangeOptions, chat: selectedChat }}
+          onClose={() => setReportOpen(false)}
+        />
+      )}
+
+      {privacyOpen && (
+        <PrivacySettings
+          enabled={privacy}
+          onChange={changePrivacy}
+          getMapping={() => analysisClient.current.getPrivacyMapping()}
+          onClose={() => setPrivacyOpen(false)}
+        />
+      )}
+
       {/* Main content area with tabs */}
       <main className="max-w-7xl mx-auto px-4 py-6">
         {/* Overview Tab */}
         {activeTab === 'overview' && (
           <div className="space-y-6">
-            <CollapsibleSection title="Daily Activity">
+            <CollapsibleSection title="Daily Activity (click a day to see its messages)">
               <div className="h-72">
                 <ResponsiveContainer width="100%" height="100%">
-                  <LineChart data={filteredDailyData} className="dark:bg-gray-800">
+                  <LineChart
+                    data={dailyData}
+                    className="dark:bg-gray-800 cursor-pointer"
+                    onClick={(state) =>
+                      state?.activeLabel && openMessages({ fromDate: state.activeLabel, toDate: state.activeLabel })
+                    }
+                  >
                     <CartesianGrid stroke="#4a5568" strokeDasharray="3 3" />
                     <XAxis dataKey="date" stroke="#718096" tick={{ fill: '#718096' }} />
                     <YAxis stroke="#718096" tick={{ fill: '#718096' }} />
@@ -423,7 +820,7 @@ const ChatDashboard = () => {
               </div>
             </CollapsibleSection>
 
-            <CollapsibleSection title="Message Distribution by Hour">
+            <CollapsibleSection title={`Message Distribution by Hour (${timeZoneLabel(timeZone)})`}>
               <div className="h-72">
                 <ResponsiveContainer width="100%" height="100%">
                   <BarChart data={hourlyData} className="dark:bg-gray-800">
@@ -443,7 +840,7 @@ const ChatDashboard = () => {
         {/* Activity Tab */}
         {activeTab === 'activity' && (
           <div className="space-y-6">
-            <CollapsibleSection title="Activity by Day of Week">
+            <CollapsibleSection title={`Activity by Day of Week (${timeZoneLabel(timeZone)})`}>
               <div className="h-72">
                 <ResponsiveContainer width="100%" height="100%">
                   <BarChart data={weeklyData} className="dark:bg-gray-800">
@@ -458,29 +855,31 @@ const ChatDashboard = () => {
               </div>
             </CollapsibleSection>
 
-            <CollapsibleSection title="User Categories">
-              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-                {metrics.userTypes.map((type) => (
-                  <div key={type} className="p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
-                    <p className="font-medium text-gray-900 dark:text-gray-100">{type}</p>
-                  </div>
-                ))}
-              </div>
-            </CollapsibleSection>
+            <RoleBreakdown roles={metrics.roles} onSelectRole={setSelectedRole} />
           </div>
         )}
 
         {/* Users Tab */}
-        {activeTab === 'users' && (
+        {activeTab === 'users' && profileUser && (
+          <UserProfile
+            user={profileUser}
+            options={{ ...rangeOptions, chat: selectedChat }}
+            computeUserProfile={(user, options) =>
+              analysisClient.current.computeUserProfile(user, options)
+            }
+            onBack={() => setProfileUser(null)}
+          />
+        )}
+        {activeTab === 'users' && !profileUser && (
           <div className="space-y-6">
-            {['Most Active Users', 'Most Reacted To', 'Most Mentioned Users'].map((title, index) => (
+            {['Most Active Users', 'Most Reacted To', 'Most Mentioned Users'].map((title, listIndex) => (
               <CollapsibleSection key={title} title={title}>
                 <SortableList
                   items={
-                    index === 0
+                    listIndex === 0
                       ? metrics.mostActiveUsers.map(({ user, count }) => [user, count])
-                      : index === 1
-                      ? metrics.mostReactedTo.map(({ user, count }) => [user, count])
+                      : listIndex === 1
+                      ? metrics.mostReactedTo.map(({ user, perMessage }) => [user, perMessage])
                       : metrics.topMentions
                   }
                   sortOptions={[
@@ -488,7 +887,7 @@ const ChatDashboard = () => {
                     {
                       key: 'count',
                       label:
-                        index === 0 ? 'Message Count' : index === 1 ? 'Reactions' : 'Mentions',
+                        listIndex === 0 ? 'Message Count' : listIndex === 1 ? 'Reactions per Message' : 'Mentions',
                     },
                   ]}
                   defaultSort="count"
@@ -497,15 +896,25 @@ const ChatDashboard = () => {
                       key={item}
                       className="flex items-center justify-between py-2 border-b dark:border-gray-600 last:border-0"
                     >
-                      <span className="text-sm font-medium text-gray-900 dark:text-gray-100">
-                        {index + 1}. {item}
-                      </span>
+                      {/* Mentions are @handles, not sender names, so they have no profile */}
+                      {listIndex < 2 ? (
+                        <button
+                          onClick={() => setProfileUser(item)}
+                          className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline text-left"
+                        >
+                          {index + 1}. {item}
+                        </button>
+                      ) : (
+                        <span className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                          {index + 1}. {item}
+                        </span>
+                      )}
                       <span className="text-sm text-gray-500 dark:text-gray-400">
-                        {count}{' '}
-                        {index === 0
+                        {listIndex === 1 ? count.toFixed(2) : count}{' '}
+                        {listIndex === 0
                           ? 'messages'
-                          : index === 1
-                          ? 'reactions'
+                          : listIndex === 1
+                          ? 'reactions per message'
                           : 'mentions'}
                       </span>
                     </div>
@@ -513,52 +922,119 @@ const ChatDashboard = () => {
                 />
               </CollapsibleSection>
             ))}
+
+            <UserDirectory
+              identities={identities}
+              directory={directory}
+              privacy={privacy}
+              onChange={changeDirectory}
+              onSelectUser={setProfileUser}
+            />
           </div>
         )}
 
-
         {/* Content Tab */}
         {activeTab === 'content' && (
           <div className="space-y-6">
+            <ContentBreakdown content={metrics.content} timeZone={timeZone} onSelectUser={openProfile} />
+
+            <TextInsights
+              metrics={metrics}
+              textOptions={textOptions}
+              onTextOptionsChange={setTextOptions}
+              onSelectTerm={(term) => openMessages({ query: term })}
+            />
+
             <CollapsibleSection title="Most Used Words">
               <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
                 {metrics.topWords.slice(0, 20).map(([word, count]) => (
-                  <div
+                  <button
                     key={word}
-                    className="p-4 bg-gray-50 dark:bg-gray-700 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors"
+                    onClick={() => openMessages({ query: word })}
+                    className="p-4 bg-gray-50 dark:bg-gray-700 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors text-left"
                   >
                     <p className="font-medium text-gray-900 dark:text-gray-100">{word}</p>
                     <p className="text-sm text-gray-500 dark:text-gray-400">
                       {count} occurrences
                     </p>
-                  </div>
+                  </button>
                 ))}
               </div>
             </CollapsibleSection>
 
-            <CollapsibleSection title="Shared Links">
-              <ScrollableList
-                items={metrics.uniqueLinks}
-                maxHeight="64"
-                renderItem={(link) => (
-                  <div
-                    key={link}
-                    className="p-2 bg-gray-50 dark:bg-gray-700 rounded mb-2 hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors"
-                  >
-                    <a
-                      href={link}
-                      target="_blank"
-                      rel="noopener noreferrer"
-                      className="text-sm text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 break-all"
-                    >
-                      {link}
-                    </a>
-                  </div>
-                )}
-              />
-            </CollapsibleSection>
+            <LinkAnalytics
+              links={metrics.links}
+              timeZone={timeZone}
+              onSelectUser={openProfile}
+              onSelectDomain={(domain) => openMessages({ domain })}
+            />
           </div>
         )}
+
+        {/* Messages Tab */}
+        {activeTab === 'messages' && (
+          <MessageBrowser
+            options={{ ...rangeOptions, chat: selectedChat }}
+            filters={messageFilters}
+            onFiltersChange={setMessageFilters}
+            senders={Object.keys(metrics.messagesByUser).sort((a, b) => a.localeCompare(b))}
+            searchMessages={(options) => analysisClient.current.searchMessages(options)}
+            onSelectUser={openProfile}
+          />
+        )}
+
+        {/* Trends Tab */}
+        {activeTab === 'trends' && (
+          <Trends
+            options={{ ...rangeOptions, chat: selectedChat }}
+            computeTrends={(options) => analysisClient.current.computeTrends(options)}
+          />
+        )}
+
+        {/* Reactions Tab */}
+        {activeTab === 'reactions' && (
+          <Reactions
+            reactions={metrics.reactions}
+            userMessages={metrics.userMessages}
+            timeZone={timeZone}
+            onSelectUser={openProfile}
+          />
+        )}
+
+        {/* Threads Tab */}
+        {activeTab === 'threads' && (
+          <ReplyThreads
+            metrics={metrics}
+            timeZone={timeZone}
+            onSelectUser={openProfile}
+          />
+        )}
+
+        {/* Response Times Tab */}
+        {activeTab === 'responses' && (
+          <ResponseTimes
+            responseTimes={metrics.responseTimes}
+            timeZone={timeZone}
+            onSelectUser={openProfile}
+          />
+        )}
+
+        {/* Growth Tab */}
+        {activeTab === 'growth' && (
+          <Growth
+            growth={metrics.growth}
+            onSelectUser={openProfile}
+          />
+        )}
+
+        {/* Compare Tab */}
+        {activeTab === 'compare' && chats.length > 1 && (
+          <ChatComparison
+            chats={chats}
+            options={rangeOptions}
+            computeMetrics={(options) => analysisClient.current.computeMetrics(options)}
+          />
+        )}
       </main>
     </div>
   );
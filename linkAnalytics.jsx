@@ -0,0 +1,135 @@
+import React from 'react';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from 'recharts';
+import { CollapsibleSection, ScrollableList } from './components.jsx';
+import { zonedParts } from './timezone.jsx';
+
+// Day of a link's first share in the selected zone, like every other date on the dashboard
+const formatFirstShared = ({ firstSharedAt, firstSharedOffset }, timeZone) =>
+  firstSharedAt === null
+    ? 'unknown date'
+    : zonedParts({ timestamp: firstSharedAt, utcOffset: firstSharedOffset }, timeZone).date;
+
+// Shared links by domain and URL, with who brought them in and who shares them most
+const LinkAnalytics = ({ links, timeZone, onSelectUser, onSelectDomain }) => {
+  const timeline = Object.entries(links.sharesByDate)
+    .map(([date, shares]) => ({ date, shares }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const domainData = links.topDomains.slice(0, 10).map(({ domain, count }) => ({ domain, count }));
+
+  if (links.shares === 0) {
+    return (
+      <CollapsibleSection title="Shared Links">
+        <p className="text-sm text-gray-500 dark:text-gray-400">No links shared in this range</p>
+      </CollapsibleSection>
+    );
+  }
+
+  return (
+    <>
+      <CollapsibleSection
+        title={`Top Domains (${links.shares.toLocaleString()} shares of ${links.uniqueLinks.toLocaleString()} links)`}
+      >
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={domainData} layout="vertical" className="dark:bg-gray-800">
+              <CartesianGrid stroke="#4a5568" strokeDasharray="3 3" />
+              <XAxis type="number" stroke="#718096" tick={{ fill: '#718096' }} allowDecimals={false} />
+              <YAxis type="category" dataKey="domain" width={160} stroke="#718096" tick={{ fill: '#718096' }} />
+              <Tooltip contentStyle={{ backgroundColor: '#2d3748', color: '#e2e8f0' }} />
+              <Bar
+                dataKey="count"
+                name="Shares"
+                fill="#82ca9d"
+                radius={[0, 4, 4, 0]}
+                className="cursor-pointer"
+                onClick={({ domain }) => onSelectDomain(domain)}
+              />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </CollapsibleSection>
+
+      <CollapsibleSection title="Link Sharing Over Time">
+        <div className="h-48">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={timeline} className="dark:bg-gray-800">
+              <CartesianGrid stroke="#4a5568" strokeDasharray="3 3" />
+              <XAxis dataKey="date" stroke="#718096" tick={{ fill: '#718096' }} />
+              <YAxis stroke="#718096" tick={{ fill: '#718096' }} allowDecimals={false} />
+              <Tooltip contentStyle={{ backgroundColor: '#2d3748', color: '#e2e8f0' }} />
+              <Bar dataKey="shares" name="Links shared" fill="#8884d8" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </CollapsibleSection>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <CollapsibleSection title="Domains">
+          <ScrollableList
+            items={links.topDomains}
+            renderItem={(domain) => (
+              <div key={domain.domain} className="py-2 border-b dark:border-gray-600 last:border-0">
+                <div className="flex items-center justify-between">
+                  <button
+                    onClick={() => onSelectDomain(domain.domain)}
+                    className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline text-left"
+                  >
+                    {domain.domain}
+                  </button>
+                  <span className="text-sm text-gray-500 dark:text-gray-400">
+                    {domain.count} shares, {domain.uniqueLinks} links
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Shared most by{' '}
+                  <button onClick={() => onSelectUser(domain.topSharer)} className="hover:underline">
+                    {domain.topSharer}
+                  </button>{' '}
+                  ({domain.sharerCount} people), first by {domain.firstSharedBy || 'unknown'} on{' '}
+                  {formatFirstShared(domain, timeZone)}
+                </p>
+              </div>
+            )}
+          />
+        </CollapsibleSection>
+
+        <CollapsibleSection title="Most Shared Links">
+          <ScrollableList
+            items={links.topLinks}
+            renderItem={(link) => (
+              <div key={link.url} className="py-2 border-b dark:border-gray-600 last:border-0">
+                <div className="flex items-start justify-between">
+                  <a
+                    href={link.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-sm text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 break-all"
+                  >
+                    {link.url}
+                  </a>
+                  <span className="ml-2 text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                    {link.count}×
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  First shared by {link.firstSharedBy || 'unknown'} on {formatFirstShared(link, timeZone)}
+                  {link.sharerCount > 1 && `, most by ${link.topSharer}`}
+                </p>
+              </div>
+            )}
+          />
+        </CollapsibleSection>
+      </div>
+    </>
+  );
+};
+
+export default LinkAnalytics;
@@ -0,0 +1,47 @@
+// Link normalization, so the same resource shared with different tracking tails counts once
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'igshid', 'mc_cid', 'mc_eid', 'ref', 'ref_src', 'ref_url',
+  'si', 'feature', '_ga', 'yclid',
+]);
+
+// Share-sheet noise that only these sites add
+const SITE_TRACKING_PARAMS = {
+  'twitter.com': ['s', 't'],
+  'x.com': ['s', 't'],
+  'youtube.com': ['pp'],
+};
+
+// Export-internal targets: message anchors, pagination pages, bot commands, mail
+const INTERNAL_LINK = /^(?:#|@|tg:|mailto:|javascript:)|^messages\d*\.html|go_to_message/i;
+
+// { url, domain } for a shareable web link, or null for anything else
+export function normalizeLink(href) {
+  const trimmed = href.trim();
+  if (!trimmed || INTERNAL_LINK.test(trimmed)) return null;
+
+  // Plain-text links like "github.com/osmosis-labs" come without a scheme
+  const withScheme = /^[a-z][a-z\d+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`;
+  let url;
+  try {
+    url = new URL(withScheme);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+  if (!url.hostname.includes('.')) return null;
+
+  const domain = url.hostname.toLowerCase().replace(/^www\./, '');
+  const siteParams = SITE_TRACKING_PARAMS[domain] || [];
+  Array.from(url.searchParams.keys()).forEach(key => {
+    if (key.startsWith('utm_') || TRACKING_PARAMS.has(key) || siteParams.includes(key)) {
+      url.searchParams.delete(key);
+    }
+  });
+
+  const path = url.pathname.length > 1 ? url.pathname.replace(/\/+$/, '') : '';
+  const query = url.searchParams.toString();
+  return {
+    url: `https://${domain}${path}${query ? `?${query}` : ''}${url.hash}`,
+    domain,
+  };
+}
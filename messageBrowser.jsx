@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import { formatDateTime } from './timezone.jsx';
+
+export const EMPTY_MESSAGE_FILTERS = {
+  query: '',
+  sender: '',
+  fromDate: '',
+  toDate: '',
+  // Set from the link analytics, matched against each message's links
+  domain: '',
+  hasLink: false,
+  hasMedia: false,
+  isReply: false,
+  isForwarded: false,
+  minReactions: 0,
+  sort: 'newest',
+};
+
+const FLAGS = [
+  ['hasLink', 'Has link'],
+  ['hasMedia', 'Has media'],
+  ['isReply', 'Is a reply'],
+  ['isForwarded', 'Is forwarded'],
+];
+
+const inputClass = `mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm
+  sm:text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100`;
+
+const Field = ({ label, children }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{label}</label>
+    {children}
+  </div>
+);
+
+const MessageCard = ({ message, timeZone, onSelectUser }) => (
+  <div className="p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
+    <div className="flex items-center justify-between">
+      <button
+        onClick={() => onSelectUser(message.sender)}
+        className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline text-left"
+      >
+        {message.sender}
+      </button>
+      <span className="text-xs text-gray-500 dark:text-gray-400">
+        {message.timestamp !== null && formatDateTime(message, timeZone)} · #{message.id}
+      </span>
+    </div>
+    {message.replyTo && (
+      <div className="mt-2 pl-3 border-l-2 border-indigo-400 text-xs text-gray-500 dark:text-gray-400">
+        {message.replyTo.sender ? (
+          <>
+            <span className="font-medium">{message.replyTo.sender}</span>:{' '}
+            {message.replyTo.text === null ? '(text hidden)' : message.replyTo.text || '(no text)'}
+          </>
+        ) : (
+          `In reply to #${message.replyTo.id}, which isn't in the loaded files`
+        )}
+      </div>
+    )}
+    {message.forwardedFrom && (
+      <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">Forwarded from {message.forwardedFrom}</p>
+    )}
+    <p className="mt-2 text-sm text-gray-900 dark:text-gray-100 whitespace-pre-line break-words">
+      {message.text || (
+        <em className="text-gray-500 dark:text-gray-400">
+          ({message.text === null ? 'text hidden' : message.mediaType || 'no text'})
+        </em>
+      )}
+    </p>
+    {(message.mediaType || message.reactions.length > 0) && (
+      <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+        {message.text && message.mediaType && `[${message.mediaType}] `}
+        {message.reactions.map(({ emoji, count }) => `${emoji} ${count}`).join('  ')}
+      </p>
+    )}
+  </div>
+);
+
+// Search and filter the messages behind the charts, within the current chat, timezone and range
+const MessageBrowser = ({ options, filters, onFiltersChange, senders, searchMessages, onSelectUser }) => {
+  const [query, setQuery] = useState(filters.query);
+  const [page, setPage] = useState(0);
+  const [results, setResults] = useState(null);
+
+  // Filters set from elsewhere (a chart click) replace what was typed
+  useEffect(() => {
+    setQuery(filters.query);
+  }, [filters.query]);
+
+  // Any change of filters or range starts over at the first page
+  const changeFilters = (next) => {
+    setPage(0);
+    onFiltersChange(next);
+  };
+
+  // Search as the user types, once they pause
+  useEffect(() => {
+    if (query === filters.query) return undefined;
+    const timer = setTimeout(() => changeFilters({ ...filters, query }), 300);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  useEffect(() => {
+    setPage(0);
+  }, [options.timeZone, options.startDate, options.endDate, options.chat, options.role]);
+
+  useEffect(() => {
+    let current = true;
+    searchMessages({
+      ...options,
+      ...filters,
+      sender: filters.sender || null,
+      fromDate: filters.fromDate || null,
+      toDate: filters.toDate || null,
+      domain: filters.domain || null,
+      page,
+    })
+      .then((result) => {
+        if (current) setResults(result);
+      })
+      .catch((err) => console.error('Error searching messages:', err));
+    return () => {
+      current = false;
+    };
+  }, [filters, page, options.timeZone, options.startDate, options.endDate, options.chat, options.role]);
+
+  const update = (changes) => changeFilters({ ...filters, ...changes });
+  const pageCount = results ? Math.max(1, Math.ceil(results.total / results.pageSize)) : 1;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow dark:shadow-lg p-4 space-y-4">
+        <Field label="Search">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Words to find, in any order"
+            className={inputClass}
+          />
+        </Field>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          <Field label="Sender">
+            <select value={filters.sender} onChange={(e) => update({ sender: e.target.value })} className={inputClass}>
+              <option value="">Anyone</option>
+              {senders.map((sender) => (
+                <option key={sender} value={sender}>
+                  {sender}
+                </option>
+              ))}
+            </select>
+          </Field>
+          <Field label="From">
+            <input
+              type="date"
+              value={filters.fromDate}
+              onChange={(e) => update({ fromDate: e.target.value })}
+              className={inputClass}
+            />
+          </Field>
+          <Field label="To">
+            <input
+              type="date"
+              value={filters.toDate}
+              onChange={(e) => update({ toDate: e.target.value })}
+              className={inputClass}
+            />
+          </Field>
+          <Field label="Minimum reactions">
+            <input
+              type="number"
+              min="0"
+              value={filters.minReactions}
+              onChange={(e) => update({ minReactions: Math.max(0, Number(e.target.value) || 0) })}
+              className={inputClass}
+            />
+          </Field>
+          <Field label="Order">
+            <select value={filters.sort} onChange={(e) => update({ sort: e.target.value })} className={inputClass}>
+              <option value="newest">Newest first</option>
+              <option value="oldest">Oldest first</option>
+            </select>
+          </Field>
+        </div>
+        <div className="flex flex-wrap items-center gap-4">
+          {FLAGS.map(([key, label]) => (
+            <label key={key} className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+              <input type="checkbox" checked={filters[key]} onChange={(e) => update({ [key]: e.target.checked })} />
+              <span>{label}</span>
+            </label>
+          ))}
+          {filters.domain && (
+            <span className="flex items-center px-2 py-1 rounded bg-indigo-50 dark:bg-gray-700 text-sm text-indigo-700 dark:text-indigo-300">
+              Links to {filters.domain}
+              <button onClick={() => update({ domain: '' })} className="ml-2 hover:text-indigo-900" title="Clear">
+                ×
+              </button>
+            </span>
+          )}
+          <button
+            onClick={() => changeFilters(EMPTY_MESSAGE_FILTERS)}
+            className="ml-auto px-3 py-1 rounded text-sm text-gray-500 dark:text-gray-300 hover:text-gray-700 dark:hover:text-gray-100"
+          >
+            Reset filters
+          </button>
+        </div>
+      </div>
+
+      {!results ? (
+        <p className="text-gray-500 dark:text-gray-400">Searching...</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {results.total.toLocaleString()} matching message(s)
+          </p>
+          <div className="space-y-3">
+            {results.results.map((message) => (
+              <MessageCard
+                key={`${message.chat}:${message.id}`}
+                message={message}
+                timeZone={options.timeZone}
+                onSelectUser={onSelectUser}
+              />
+            ))}
+          </div>
+          {pageCount > 1 && (
+            <div className="flex items-center justify-center space-x-4">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page === 0}
+                className="px-3 py-1 rounded-md text-sm bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                Page {page + 1} of {pageCount}
+              </span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page + 1 >= pageCount}
+                className="px-3 py-1 rounded-md text-sm bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MessageBrowser;
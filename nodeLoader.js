@@ -0,0 +1,9 @@
+// Lets Node import the analysis modules: they're plain JavaScript with a .jsx extension
+import { register } from 'node:module';
+
+register(`data:text/javascript,${encodeURIComponent(`
+  export async function load(url, context, nextLoad) {
+    if (url.startsWith('file:') && url.endsWith('.jsx')) return nextLoad(url, { ...context, format: 'module' });
+    return nextLoad(url, context);
+  }
+`)}`);
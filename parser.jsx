@@ -0,0 +1,404 @@
+// Chat export parsing: turns Telegram export pages into normalized message records
+const TIMESTAMP_PATTERN = /^(\d{2})\.(\d{2})\.(\d{4}) (\d{2}):(\d{2}):(\d{2})(?: UTC([+-])(\d{2}):(\d{2}))?/;
+const DAY_PATTERN = /^(\d{1,2}) ([A-Z][a-z]+) (\d{4})$/;
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// Browsers provide DOMParser on the main thread only; workers and Node supply their own
+let DOMParserImpl = globalThis.DOMParser;
+
+export function setDOMParser(impl) {
+  DOMParserImpl = impl;
+}
+
+// Handle Telegram date format: "DD.MM.YYYY HH:mm:ss UTC-07:00"
+export function parseTimestamp(dateStr) {
+  const match = dateStr?.trim().match(TIMESTAMP_PATTERN);
+  if (!match) return null;
+
+  const [, day, month, year, hours, minutes, seconds, sign, offsetHours, offsetMinutes] = match;
+  const utcOffset = sign
+    ? (sign === '-' ? -1 : 1) * (parseInt(offsetHours) * 60 + parseInt(offsetMinutes))
+    : 0;
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+  return { timestamp: wallClock - utcOffset * 60000, utcOffset };
+}
+
+// Date separators look like "12 February 2024"
+function parseDay(text) {
+  const match = text.match(DAY_PATTERN);
+  if (!match) return null;
+
+  const month = MONTHS.indexOf(match[2]);
+  if (month === -1) return null;
+  return `${match[3]}-${String(month + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+function parseMessageId(idAttr) {
+  const id = parseInt(idAttr?.replace('message', ''));
+  return isNaN(id) ? null : id;
+}
+
+// Direct children only, so nested forwarded bodies don't leak into the outer message
+function child(elem, ...classNames) {
+  if (!elem) return null;
+  return Array.from(elem.children)
+    .find(node => classNames.every(name => node.classList.contains(name))) || null;
+}
+
+// Text of an element without its nested spans (dates, "via @bot" details)
+function ownText(elem) {
+  if (!elem) return null;
+  const text = Array.from(elem.childNodes)
+    .filter(node => node.nodeType === 3)
+    .map(node => node.textContent)
+    .join('')
+    .trim();
+  return text || null;
+}
+
+// textContent drops <br>, which glues words across lines together
+function readText(elem) {
+  return Array.from(elem.childNodes)
+    .map(node => {
+      if (node.nodeType === 3) return node.textContent;
+      if (node.nodeName === 'BR') return '\n';
+      return node.nodeType === 1 ? readText(node) : '';
+    })
+    .join('');
+}
+
+function parseReactions(body) {
+  const reactionsElem = child(body, 'reactions');
+  if (!reactionsElem) return [];
+
+  return Array.from(reactionsElem.querySelectorAll('.reaction')).map(reaction => {
+    const from = Array.from(reaction.querySelectorAll('.userpics [title]'))
+      .map(pic => pic.getAttribute('title').trim());
+    const countText = reaction.querySelector('.count')?.textContent.trim();
+
+    return {
+      emoji: reaction.querySelector('.emoji')?.textContent.trim() || null,
+      count: countText ? parseInt(countText) : Math.max(from.length, 1),
+      from,
+    };
+  });
+}
+
+// Photos, videos, GIFs and stickers that were downloaded are thumbnails rather than .media blocks
+const MEDIA_WRAPS = [
+  ['photo_wrap', 'photo'],
+  ['video_file_wrap', 'video'],
+  ['animated_wrap', 'animation'],
+  ['sticker_wrap', 'sticker'],
+];
+
+function parseMediaType(body) {
+  const mediaWrap = child(body, 'media_wrap');
+  if (!mediaWrap) return null;
+
+  const wrap = MEDIA_WRAPS.find(([className]) => mediaWrap.querySelector(`.${className}`));
+  if (wrap) return wrap[1];
+
+  const media = mediaWrap.querySelector('.media, .media_poll');
+  if (!media) return null;
+  const typeClass = Array.from(media.classList).find(name => name.startsWith('media_'));
+  return typeClass ? typeClass.replace('media_', '') : null;
+}
+
+// "3 votes" / "2 votes, chosen vote" / nothing when an option got no votes
+const votesIn = text => parseInt(text?.match(/\d+/)?.[0] || '0');
+
+function parsePoll(body) {
+  const poll = child(body, 'media_wrap')?.querySelector('.media_poll');
+  if (!poll) return null;
+
+  return {
+    question: poll.querySelector('.question')?.textContent.trim() || '',
+    options: Array.from(poll.querySelectorAll('.answer')).map(answer => ({
+      text: (ownText(answer) || '').replace(/^-\s*/, ''),
+      votes: votesIn(answer.querySelector('.details')?.textContent),
+    })),
+    totalVotes: votesIn(poll.querySelector('.total')?.textContent),
+  };
+}
+
+function parseReplyTo(body) {
+  const onclick = child(body, 'reply_to')?.querySelector('a')?.getAttribute('onclick');
+  const replyId = onclick?.match(/-?\d+/)?.[0];
+  return replyId ? parseInt(replyId) : null;
+}
+
+function parseUserMessage(msg, id, previousSender, chat) {
+  const body = child(msg, 'body');
+  const forwarded = child(body, 'forwarded', 'body');
+  // Forwarded posts carry their text and media inside the nested body
+  const contentBody = forwarded || body;
+  const textElem = child(contentBody, 'text');
+  const parsedDate = parseTimestamp(child(body, 'date')?.getAttribute('title'));
+
+  // Telegram drops the name on consecutive posts from one author ("joined" blocks)
+  const sender = ownText(child(body, 'from_name'))
+    || (msg.classList.contains('joined') ? previousSender : null);
+
+  return {
+    id,
+    chat,
+    type: 'message',
+    sender,
+    senderId: null,
+    timestamp: parsedDate?.timestamp ?? null,
+    utcOffset: parsedDate?.utcOffset ?? null,
+    text: textElem ? readText(textElem).trim() : '',
+    links: textElem
+      ? Array.from(textElem.querySelectorAll('a'))
+        // @mentions are rendered as t.me profile links; they're people, not shared links
+        .filter(link => !link.textContent.trim().startsWith('@'))
+        .map(link => link.getAttribute('href'))
+        .filter(Boolean)
+      : [],
+    replyTo: parseReplyTo(body),
+    reactions: parseReactions(body),
+    mediaType: parseMediaType(contentBody),
+    poll: parsePoll(contentBody),
+    forwardedFrom: forwarded ? ownText(child(forwarded, 'from_name')) : null,
+    action: null,
+  };
+}
+
+function parseServiceMessage(msg, id, day, chat) {
+  const text = child(msg, 'body')?.textContent.trim() || '';
+
+  return {
+    id,
+    chat,
+    type: 'service',
+    sender: null,
+    senderId: null,
+    timestamp: null,
+    utcOffset: null,
+    day,
+    text: '',
+    links: [],
+    replyTo: null,
+    reactions: [],
+    mediaType: null,
+    poll: null,
+    forwardedFrom: null,
+    // Date separators are service blocks too, but carry no action
+    action: parseDay(text) ? null : text,
+  };
+}
+
+// previousSender carries the author across page boundaries of multi-file exports
+export function parseHtmlExport(content, previousSender = null) {
+  const parser = new DOMParserImpl();
+  const doc = parser.parseFromString(content, 'text/html');
+
+  const chatName = doc.querySelector('.page_header .text.bold')?.textContent.trim() || null;
+  const messages = [];
+  let currentDay = null;
+  let lastSender = previousSender;
+
+  doc.querySelectorAll('.message').forEach(msg => {
+    const id = parseMessageId(msg.getAttribute('id'));
+
+    if (msg.classList.contains('service')) {
+      const separatorDay = parseDay(child(msg, 'body')?.textContent.trim() || '');
+      if (separatorDay) currentDay = separatorDay;
+      messages.push(parseServiceMessage(msg, id, currentDay, chatName));
+    } else if (msg.classList.contains('default')) {
+      const message = parseUserMessage(msg, id, lastSender, chatName);
+      lastSender = message.sender;
+      messages.push(message);
+    }
+  });
+
+  return { format: 'html', chat: { name: chatName, id: null }, messages, lastSender };
+}
+
+// JSON exports (result.json) use snake_case media types; map them onto the HTML class names
+const JSON_MEDIA_TYPES = {
+  video_file: 'video',
+  video_message: 'video',
+  audio_file: 'audio_file',
+  voice_message: 'voice_message',
+  sticker: 'sticker',
+  animation: 'animation',
+};
+
+// Text is either a plain string or a list of strings and entity objects
+function flattenJsonText(text) {
+  if (!text) return '';
+  if (typeof text === 'string') return text;
+  return text.map(part => (typeof part === 'string' ? part : part.text)).join('');
+}
+
+function jsonLinks(entities = []) {
+  return entities
+    .filter(entity => entity.type === 'link' || entity.type === 'text_link')
+    .map(entity => entity.href || entity.text);
+}
+
+function jsonMediaType(msg) {
+  if (msg.photo) return 'photo';
+  if (msg.poll) return 'poll';
+  if (msg.media_type) return JSON_MEDIA_TYPES[msg.media_type] || msg.media_type;
+  if (msg.file) return 'file';
+  return null;
+}
+
+function listNames(names = []) {
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+// Phrase service actions the way the HTML export does, so both formats read alike
+function jsonActionText(msg) {
+  const actor = msg.actor || msg.from || '';
+  const members = msg.members || [];
+
+  switch (msg.action) {
+    case 'join_group_by_link':
+      return `${actor} joined group by link from ${msg.inviter || 'Group'}`;
+    case 'join_group_by_request':
+      return `${actor} joined group by request`;
+    case 'invite_members':
+      return `${actor} invited ${listNames(members)}`;
+    case 'remove_members':
+      return members.length === 1 && members[0] === actor
+        ? `${actor} left group`
+        : `${actor} removed ${listNames(members)}`;
+    case 'edit_group_photo':
+      return `${actor} changed group photo`;
+    case 'edit_group_title':
+      return `${actor} changed group title to «${msg.title}»`;
+    case 'pin_message':
+      return `${actor} pinned this message`;
+    case 'topic_created':
+    case 'create_topic':
+      return `${actor} created topic «${msg.title}»`;
+    default:
+      return `${actor} ${(msg.action || '').replace(/_/g, ' ')}`.trim();
+  }
+}
+
+function parseJsonTimestamp(msg) {
+  const timestamp = parseInt(msg.date_unixtime) * 1000;
+  if (isNaN(timestamp)) return null;
+
+  // "date" is the exporting machine's wall clock; the gap to unixtime is its offset
+  const [datePart, timePart] = msg.date.split('T');
+  const [year, month, day] = datePart.split('-');
+  const [hours, minutes, seconds] = timePart.split(':');
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+  return { timestamp, utcOffset: Math.round((wallClock - timestamp) / 60000) };
+}
+
+function parseJsonMessage(msg, chat) {
+  const parsedDate = parseJsonTimestamp(msg);
+  const isService = msg.type === 'service';
+
+  return {
+    id: msg.id,
+    chat,
+    type: isService ? 'service' : 'message',
+    sender: isService ? null : msg.from || null,
+    senderId: isService ? null : msg.from_id || null,
+    timestamp: parsedDate?.timestamp ?? null,
+    utcOffset: parsedDate?.utcOffset ?? null,
+    ...(isService && { day: msg.date.split('T')[0] }),
+    text: isService ? '' : flattenJsonText(msg.text).trim(),
+    links: isService ? [] : jsonLinks(msg.text_entities),
+    replyTo: msg.reply_to_message_id ?? null,
+    reactions: (msg.reactions || []).map(reaction => ({
+      emoji: reaction.emoji || reaction.document_id || null,
+      count: reaction.count,
+      from: (reaction.recent || []).map(recent => recent.from).filter(Boolean),
+    })),
+    mediaType: isService ? null : jsonMediaType(msg),
+    poll: msg.poll
+      ? {
+        question: msg.poll.question || '',
+        options: (msg.poll.answers || []).map(answer => ({ text: answer.text, votes: answer.voters || 0 })),
+        totalVotes: msg.poll.total_voters || 0,
+      }
+      : null,
+    forwardedFrom: msg.forwarded_from || null,
+    action: isService ? jsonActionText(msg) : null,
+  };
+}
+
+export function parseJsonExport(content) {
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+  if (!Array.isArray(data.messages)) {
+    throw new Error('JSON export has no messages; export a single chat from Telegram Desktop');
+  }
+
+  return {
+    format: 'json',
+    chat: { name: data.name || null, id: data.id ?? null },
+    messages: data.messages.map(msg => parseJsonMessage(msg, data.name || null)),
+    // Every JSON message names its author, so nothing carries over
+    lastSender: null,
+  };
+}
+
+export function isJsonExport(content) {
+  return content.trimStart().startsWith('{');
+}
+
+export function parseChatExport(content, previousSender = null) {
+  return isJsonExport(content)
+    ? parseJsonExport(content)
+    : parseHtmlExport(content, previousSender);
+}
+
+// "A, B and C" back into names, the reverse of listNames
+function splitNames(text) {
+  const match = text.match(/^(.*) and ([^,]+)$/);
+  if (!match) return [text];
+  return [...match[1].split(', '), match[2]];
+}
+
+const MEMBER_ACTIONS = [
+  [/^(.+) joined group by link from (.+)$/, ([, actor, inviter]) => (
+    { kind: 'join', actor, members: [actor], source: 'link', inviter: inviter === 'Group' ? null : inviter }
+  )],
+  [/^(.+) joined group by request$/, ([, actor]) => (
+    { kind: 'join', actor, members: [actor], source: 'request', inviter: null }
+  )],
+  [/^(.+) joined group$/, ([, actor]) => (
+    { kind: 'join', actor, members: [actor], source: 'link', inviter: null }
+  )],
+  [/^(.+) left group$/, ([, actor]) => (
+    { kind: 'leave', actor, members: [actor], source: null, inviter: null }
+  )],
+  [/^(.+?) (?:invited|added) (.+)$/, ([, actor, names]) => (
+    { kind: 'join', actor, members: splitNames(names), source: 'added', inviter: actor }
+  )],
+  [/^(.+?) removed (.+)$/, ([, actor, names]) => (
+    { kind: 'remove', actor, members: splitNames(names), source: null, inviter: null }
+  )],
+  [/^(.+) changed group photo$/, ([, actor]) => (
+    { kind: 'photo', actor, members: [], source: null, inviter: null }
+  )],
+  [/^(.+) changed group title to «(.+)»$/, ([, actor, title]) => (
+    { kind: 'title', actor, members: [], source: null, inviter: null, title }
+  )],
+];
+
+// Membership and group-settings changes in a service message's action text, or null
+export function parseMemberEvent(action) {
+  if (!action) return null;
+
+  for (const [pattern, toEvent] of MEMBER_ACTIONS) {
+    const match = action.match(pattern);
+    if (match) return toEvent(match);
+  }
+  return null;
+}
@@ -0,0 +1,118 @@
+// Privacy mode: every person becomes a stable pseudonym and contact details leave the text,
+// before any analysis runs, so every view and export only ever sees the masked copy.
+import { parseMemberEvent } from './parser.jsx';
+import { normalizeLink } from './links.jsx';
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// Bare domains too ("t.me", "example.com"); the top-level domain is letters, so "3.14" stays
+const LINK_PATTERN = /(?:https?:\/\/|www\.)\S+|\b[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\b(?:\/\S*)?/gi;
+// Seven or more digits, optionally with a leading + and the usual separators
+const PHONE_PATTERN = /\+?\d(?:[\s().-]*\d){6,}/g;
+const HANDLE_PATTERN = /@\w+/g;
+
+// Shorter names ("Al", "Jo") match too much ordinary text to be replaced inside messages
+const MIN_NAME_LENGTH_IN_TEXT = 3;
+
+export const createPrivacySalt = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+// FNV-1a; it only has to be stable and well spread, not secret, since the salt stays local
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return (value >>> 0).toString(36).padStart(6, '0').slice(-6);
+}
+
+// Same input, same salt, same pseudonym; distinct inputs never share one
+function createPseudonymizer(salt, format) {
+  const byOriginal = new Map();
+  const taken = new Set();
+  return original => {
+    if (!byOriginal.has(original)) {
+      let attempt = 0;
+      let pseudonym;
+      do {
+        pseudonym = format(hash(`${salt}:${original}:${attempt++}`));
+      } while (taken.has(pseudonym));
+      taken.add(pseudonym);
+      byOriginal.set(original, pseudonym);
+    }
+    return byOriginal.get(original);
+  };
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-name matches only, longest first so "Max Power" wins over "Max"
+export function namePattern(names) {
+  if (names.length === 0) return null;
+  const alternatives = [...names].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'gu');
+}
+
+// { messages, mapping } where mapping lists [{ pseudonym, original, kind }] for local reversal
+export function privatizeMessages(messages, salt) {
+  const pseudonymFor = createPseudonymizer(salt, code => `Member ${code}`);
+  const handleFor = createPseudonymizer(salt, code => `@member_${code}`);
+  const idFor = createPseudonymizer(salt, code => `user${code}`);
+
+  // Everyone the export names: senders, reactors, forward sources and people in member events
+  const names = new Set();
+  messages.forEach(msg => {
+    if (msg.sender) names.add(msg.sender);
+    if (msg.forwardedFrom) names.add(msg.forwardedFrom);
+    msg.reactions.forEach(reaction => reaction.from.forEach(name => names.add(name)));
+    const event = msg.action ? parseMemberEvent(msg.action) : null;
+    if (event) {
+      [event.actor, event.inviter, ...event.members].filter(Boolean).forEach(name => names.add(name));
+    }
+  });
+  Array.from(names).sort().forEach(pseudonymFor);
+
+  const allNames = namePattern(Array.from(names));
+  const namesInText = namePattern(Array.from(names).filter(name => name.length >= MIN_NAME_LENGTH_IN_TEXT));
+  const handles = new Map();
+
+  const maskText = text => {
+    const redacted = text
+      .replace(EMAIL_PATTERN, ' ')
+      .replace(LINK_PATTERN, ' ')
+      .replace(PHONE_PATTERN, ' ')
+      .replace(HANDLE_PATTERN, handle => {
+        const key = handle.toLowerCase();
+        if (!handles.has(key)) handles.set(key, { original: handle, pseudonym: handleFor(key) });
+        return handles.get(key).pseudonym;
+      });
+    return namesInText ? redacted.replace(namesInText, pseudonymFor) : redacted;
+  };
+
+  const masked = messages.map(msg => ({
+    ...msg,
+    sender: msg.sender && pseudonymFor(msg.sender),
+    senderId: msg.senderId && idFor(msg.senderId),
+    text: maskText(msg.text),
+    poll: msg.poll && {
+      ...msg.poll,
+      question: maskText(msg.poll.question),
+      options: msg.poll.options.map(option => ({ ...option, text: maskText(option.text) })),
+    },
+    // Only the site survives, paths and queries can carry names or invite codes
+    links: msg.links
+      .map(normalizeLink)
+      .filter(Boolean)
+      .map(({ domain }) => `https://${domain}`),
+    reactions: msg.reactions.map(reaction => ({ ...reaction, from: reaction.from.map(pseudonymFor) })),
+    forwardedFrom: msg.forwardedFrom && pseudonymFor(msg.forwardedFrom),
+    action: msg.action && allNames ? msg.action.replace(allNames, pseudonymFor) : msg.action,
+  }));
+
+  const mapping = [
+    ...Array.from(names).map(original => ({ pseudonym: pseudonymFor(original), original, kind: 'name' })),
+    ...Array.from(handles.values()).map(({ original, pseudonym }) => ({ pseudonym, original, kind: 'username' })),
+  ].sort((a, b) => a.pseudonym.localeCompare(b.pseudonym));
+
+  return { messages: masked, mapping };
+}
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { toCsv } from './exportData.jsx';
+import { downloadBlob } from './exportMenu.jsx';
+
+// Turns privacy mode on or off, and reveals the pseudonym mapping only when asked to
+const PrivacySettings = ({ enabled, onChange, getMapping, onClose }) => {
+  const [mapping, setMapping] = useState(null);
+
+  const revealMapping = () => {
+    getMapping()
+      .then(setMapping)
+      .catch((err) => console.error('Error loading pseudonym mapping:', err));
+  };
+
+  const downloadMapping = () =>
+    downloadBlob(
+      toCsv({
+        columns: ['pseudonym', 'original', 'kind'],
+        rows: mapping.map(({ pseudonym, original, kind }) => [pseudonym, original, kind]),
+      }),
+      'text/csv',
+      'pseudonym-mapping.csv'
+    );
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-black bg-opacity-50" onClick={onClose}>
+      <div
+        className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6 w-full max-w-lg space-y-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Privacy mode</h2>
+        <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => {
+              setMapping(null);
+              onChange(e.target.checked);
+            }}
+          />
+          <span>Pseudonymize people and redact contact details</span>
+        </label>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Senders and @mentions get stable pseudonyms, salted per dataset (save the dataset to keep them the same
+          next time). Phone numbers, emails and links are removed from message text, shared links keep only their
+          site, and message bodies are hidden in the message browser and other drill-downs. Every tab, export and
+          report uses the masked data.
+        </p>
+
+        {enabled && !mapping && (
+          <button onClick={revealMapping} className="text-sm text-indigo-600 dark:text-indigo-400 hover:underline">
+            Show pseudonym mapping (stays on this device)
+          </button>
+        )}
+        {enabled && mapping && (
+          <div className="space-y-2">
+            <div className="overflow-y-auto max-h-64 pr-2">
+              {mapping.map(({ pseudonym, original }) => (
+                <div
+                  key={pseudonym}
+                  className="flex items-center justify-between py-2 border-b dark:border-gray-600 last:border-0"
+                >
+                  <span className="text-sm font-medium text-gray-900 dark:text-gray-100">{pseudonym}</span>
+                  <span className="text-sm text-gray-500 dark:text-gray-400">{original}</span>
+                </div>
+              ))}
+            </div>
+            <button onClick={downloadMapping} className="text-sm text-indigo-600 dark:text-indigo-400 hover:underline">
+              Download mapping (CSV)
+            </button>
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-3 py-1 rounded-md text-sm font-semibold bg-indigo-50 text-indigo-700 hover:bg-indigo-100"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PrivacySettings;
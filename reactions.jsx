@@ -0,0 +1,140 @@
+import React from 'react';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from 'recharts';
+import { COLORS, CollapsibleSection, StatsCard } from './components.jsx';
+import { formatDateTime } from './timezone.jsx';
+
+const PersonList = ({ items, unit, emptyText, onSelectUser }) =>
+  items.length === 0 ? (
+    <p className="text-sm text-gray-500 dark:text-gray-400">{emptyText}</p>
+  ) : (
+    items.map(([user, count], rank) => (
+      <div
+        key={user}
+        className="flex items-center justify-between py-2 border-b dark:border-gray-600 last:border-0"
+      >
+        <button
+          onClick={() => onSelectUser(user)}
+          className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline text-left"
+        >
+          {rank + 1}. {user}
+        </button>
+        <span className="text-sm text-gray-500 dark:text-gray-400">
+          {count} {unit}
+        </span>
+      </div>
+    ))
+  );
+
+// Reaction totals by emoji, message and person, for the current chat and date range
+const Reactions = ({ reactions, userMessages, timeZone, onSelectUser }) => {
+  const emojiData = reactions.byEmoji.map(([emoji, count]) => ({ emoji, count }));
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+        <StatsCard title="Reactions" value={reactions.total.toLocaleString()} />
+        <StatsCard
+          title="Reactions per message"
+          value={(userMessages > 0 ? reactions.total / userMessages : 0).toFixed(2)}
+        />
+        <StatsCard
+          title="Reactor known"
+          value={`${Math.round(reactions.attributedShare * 100)}%`}
+          subtitle="of reactions list who left them"
+        />
+      </div>
+
+      <CollapsibleSection title="Reactions by Emoji">
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={emojiData} className="dark:bg-gray-800">
+              <CartesianGrid stroke="#4a5568" strokeDasharray="3 3" />
+              <XAxis dataKey="emoji" stroke="#718096" tick={{ fill: '#718096', fontSize: 16 }} interval={0} />
+              <YAxis stroke="#718096" tick={{ fill: '#718096' }} />
+              <Tooltip contentStyle={{ backgroundColor: '#2d3748', color: '#e2e8f0' }} />
+              <Bar dataKey="count" name="Reactions" fill={COLORS[4]} radius={[4, 4, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </CollapsibleSection>
+
+      <CollapsibleSection title="Most Reacted Messages">
+        {reactions.topMessages.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No reactions in this range</p>
+        ) : (
+          reactions.topMessages.map((message) => (
+            <div key={`${message.chat}:${message.id}`} className="py-3 border-b dark:border-gray-600 last:border-0">
+              <div className="flex items-center justify-between">
+                <button
+                  onClick={() => onSelectUser(message.sender)}
+                  className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline text-left"
+                >
+                  {message.sender}
+                </button>
+                <span className="text-sm text-gray-500 dark:text-gray-400">
+                  {message.reactions.map(({ emoji, count }) => `${emoji} ${count}`).join('  ')}
+                </span>
+              </div>
+              <p className="mt-1 text-sm text-gray-700 dark:text-gray-300 whitespace-pre-line">
+                {message.text || <em>{message.text === null ? '(text hidden)' : '(no text)'}</em>}
+              </p>
+              {message.timestamp !== null && (
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                  {formatDateTime(message, timeZone)}
+                </p>
+              )}
+            </div>
+          ))
+        )}
+      </CollapsibleSection>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <CollapsibleSection title="Top Givers">
+          <PersonList
+            items={reactions.topGivers}
+            unit="given"
+            emptyText="This export doesn't list who reacted"
+            onSelectUser={onSelectUser}
+          />
+        </CollapsibleSection>
+        <CollapsibleSection title="Top Receivers">
+          <PersonList
+            items={reactions.topReceivers}
+            unit="received"
+            emptyText="No reactions in this range"
+            onSelectUser={onSelectUser}
+          />
+        </CollapsibleSection>
+      </div>
+
+      <CollapsibleSection title={`Reactions per Message (${reactions.minMessagesForRate}+ messages)`}>
+        {reactions.engagement.map(({ user, messages, reactions: received, perMessage }, rank) => (
+          <div
+            key={user}
+            className="flex items-center justify-between py-2 border-b dark:border-gray-600 last:border-0"
+          >
+            <button
+              onClick={() => onSelectUser(user)}
+              className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline text-left"
+            >
+              {rank + 1}. {user}
+            </button>
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              {perMessage.toFixed(2)} per message ({received} on {messages} messages)
+            </span>
+          </div>
+        ))}
+      </CollapsibleSection>
+    </div>
+  );
+};
+
+export default Reactions;
@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { COLORS, CollapsibleSection } from './components.jsx';
+import { formatDateTime } from './timezone.jsx';
+
+const GRAPH_SIZE = 480;
+const MAX_NODES = 16;
+
+// Threads rooted at a service message: forum topics, or replies to a join or pin
+const eventLabel = ({ isTopic, label }) => {
+  if (isTopic) return label ? `Topic «${label}»` : 'Forum topic';
+  return label || 'Service message';
+};
+
+const ThreadList = ({ threads, timeZone, onSelectUser }) =>
+  threads.length === 0 ? (
+    <p className="text-sm text-gray-500 dark:text-gray-400">No replies in this range</p>
+  ) : (
+    threads.map((thread) => (
+      <div
+        key={`${thread.chat}:${thread.rootId}`}
+        className="py-3 border-b dark:border-gray-600 last:border-0"
+      >
+        <div className="flex items-center justify-between">
+          {thread.root ? (
+            <button
+              onClick={() => onSelectUser(thread.root.sender)}
+              className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline text-left"
+            >
+              {thread.root.sender}
+            </button>
+          ) : thread.rootEvent ? (
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">{eventLabel(thread.rootEvent)}</span>
+          ) : (
+            <span className="text-sm font-medium text-gray-500 dark:text-gray-400">
+              Message #{thread.rootId} (outside the loaded range)
+            </span>
+          )}
+          <span className="text-sm text-gray-500 dark:text-gray-400">
+            {thread.messages} messages, {thread.participants.length} people
+          </span>
+        </div>
+        {thread.root && (
+          <p className="mt-1 text-sm text-gray-700 dark:text-gray-300 whitespace-pre-line line-clamp-3">
+            {thread.root.text || <em>{thread.root.text === null ? '(text hidden)' : '(no text)'}</em>}
+          </p>
+        )}
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+          {thread.root && `${formatDateTime(thread.root, timeZone)} · `}
+          {thread.participants.slice(0, 6).join(', ')}
+          {thread.participants.length > 6 && ` and ${thread.participants.length - 6} more`}
+        </p>
+      </div>
+    ))
+  );
+
+// Circular layout: the busiest repliers are placed around a ring, edges drawn as arrows
+const ReplyGraph = ({ edges, onSelectUser }) => {
+  const [hovered, setHovered] = useState(null);
+
+  const weight = {};
+  edges.forEach(({ from, to, count }) => {
+    weight[from] = (weight[from] || 0) + count;
+    weight[to] = (weight[to] || 0) + count;
+  });
+  const names = Object.keys(weight)
+    .sort((a, b) => weight[b] - weight[a])
+    .slice(0, MAX_NODES);
+
+  if (names.length < 2) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Not enough replies between people</p>;
+  }
+
+  const center = GRAPH_SIZE / 2;
+  const radius = center - 90;
+  const positions = {};
+  names.forEach((name, index) => {
+    const angle = (index / names.length) * 2 * Math.PI - Math.PI / 2;
+    positions[name] = { x: center + radius * Math.cos(angle), y: center + radius * Math.sin(angle), angle };
+  });
+
+  const visible = edges.filter(({ from, to }) => positions[from] && positions[to]);
+  const maxCount = Math.max(1, ...visible.map(({ count }) => count));
+  const maxWeight = Math.max(...names.map((name) => weight[name]));
+
+  return (
+    <svg viewBox={`0 0 ${GRAPH_SIZE} ${GRAPH_SIZE}`} className="w-full max-w-xl mx-auto">
+      <defs>
+        <marker id="reply-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+          <path d="M 0 0 L 10 5 L 0 10 z" fill="#718096" />
+        </marker>
+      </defs>
+      {visible.map(({ from, to, count }) => {
+        const active = hovered === null || hovered === from || hovered === to;
+        const a = positions[from];
+        const b = positions[to];
+        // Bend each edge slightly so A→B and B→A don't overlap
+        const midX = (a.x + b.x) / 2 + (b.y - a.y) * 0.15;
+        const midY = (a.y + b.y) / 2 - (b.x - a.x) * 0.15;
+        return (
+          <path
+            key={`${from}→${to}`}
+            d={`M ${a.x} ${a.y} Q ${midX} ${midY} ${b.x} ${b.y}`}
+            fill="none"
+            stroke={active ? COLORS[0] : '#a0aec0'}
+            strokeOpacity={active ? 0.7 : 0.15}
+            strokeWidth={1 + (count / maxCount) * 6}
+            markerEnd="url(#reply-arrow)"
+          >
+            <title>{`${from} → ${to}: ${count} replies`}</title>
+          </path>
+        );
+      })}
+      {names.map((name) => {
+        const { x, y, angle } = positions[name];
+        const labelX = center + (radius + 14) * Math.cos(angle);
+        const labelY = center + (radius + 14) * Math.sin(angle);
+        return (
+          <g
+            key={name}
+            className="cursor-pointer"
+            onMouseEnter={() => setHovered(name)}
+            onMouseLeave={() => setHovered(null)}
+            onClick={() => onSelectUser(name)}
+          >
+            <circle cx={x} cy={y} r={5 + (weight[name] / maxWeight) * 9} fill={COLORS[1]} />
+            <text
+              x={labelX}
+              y={labelY}
+              fontSize="11"
+              dominantBaseline="middle"
+              textAnchor={Math.cos(angle) > 0.1 ? 'start' : Math.cos(angle) < -0.1 ? 'end' : 'middle'}
+              className="fill-gray-700 dark:fill-gray-300"
+            >
+              {name.length > 18 ? `${name.slice(0, 17)}…` : name}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// Reply threads and who answers whom, for the current chat, timezone and date range
+const ReplyThreads = ({ metrics, timeZone, onSelectUser }) => {
+  const { replyNetwork } = metrics;
+
+  return (
+    <div className="space-y-6">
+      <div className="grid md:grid-cols-2 gap-4">
+        <CollapsibleSection title="Longest Threads">
+          <ThreadList threads={metrics.longestThreads} timeZone={timeZone} onSelectUser={onSelectUser} />
+        </CollapsibleSection>
+        <CollapsibleSection title="Most Participated Threads">
+          <ThreadList threads={metrics.mostParticipatedThreads} timeZone={timeZone} onSelectUser={onSelectUser} />
+        </CollapsibleSection>
+      </div>
+
+      <CollapsibleSection title="Reply Network">
+        <ReplyGraph edges={replyNetwork.edges} onSelectUser={onSelectUser} />
+      </CollapsibleSection>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <CollapsibleSection title="Top Helpers">
+          {replyNetwork.people.map(({ user, repliesGiven, repliesReceived, peopleHelped }, rank) => (
+            <div
+              key={user}
+              className="flex items-center justify-between py-2 border-b dark:border-gray-600 last:border-0"
+            >
+              <button
+                onClick={() => onSelectUser(user)}
+                className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline text-left"
+              >
+                {rank + 1}. {user}
+              </button>
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                {repliesGiven} replies to {peopleHelped} people, {repliesReceived} received
+              </span>
+            </div>
+          ))}
+        </CollapsibleSection>
+        <CollapsibleSection title="Who Answers Whom">
+          {replyNetwork.edges.slice(0, 20).map(({ from, to, count }) => (
+            <div
+              key={`${from}→${to}`}
+              className="flex items-center justify-between py-2 border-b dark:border-gray-600 last:border-0"
+            >
+              <span className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                {from} → {to}
+              </span>
+              <span className="text-sm text-gray-500 dark:text-gray-400">{count} replies</span>
+            </div>
+          ))}
+        </CollapsibleSection>
+      </div>
+    </div>
+  );
+};
+
+export default ReplyThreads;
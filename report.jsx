@@ -0,0 +1,194 @@
+// Standalone report: one HTML file with inline styles and SVG charts, so it opens offline
+// and prints to PDF from any browser. Built from the same metrics as the dashboard, but
+// without React, so it also runs outside the browser.
+
+import { ROLE_LABELS } from './directory.jsx';
+import { timeZoneLabel } from './timezone.jsx';
+
+// Same palette as the dashboard charts (COLORS in components.jsx)
+const COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff8042', '#a4de6c'];
+
+export const REPORT_SECTIONS = [
+  ['kpis', 'Key numbers'],
+  ['daily', 'Daily activity'],
+  ['users', 'Top users'],
+  ['words', 'Top words'],
+  ['growth', 'Member growth'],
+];
+
+const CHART_WIDTH = 720;
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatNumber = value => value.toLocaleString('en-US', { maximumFractionDigits: 1 });
+
+// Evenly spaced round-ish ticks from 0 to at least max
+function axisTicks(max, count = 4) {
+  const rough = Math.max(1, max) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map(n => n * magnitude).find(n => n >= rough);
+  return Array.from({ length: count + 1 }, (_, i) => i * step);
+}
+
+// series: [{ name, values: [number...] }] over the same labels (dates)
+function lineChartSvg(labels, series, height = 220) {
+  const margin = { top: 10, right: 10, bottom: 24, left: 44 };
+  const innerWidth = CHART_WIDTH - margin.left - margin.right;
+  const innerHeight = height - margin.top - margin.bottom;
+  const ticks = axisTicks(Math.max(0, ...series.flatMap(({ values }) => values)));
+  const top = ticks[ticks.length - 1];
+  const x = i => margin.left + (labels.length > 1 ? (i / (labels.length - 1)) * innerWidth : innerWidth / 2);
+  const y = value => margin.top + innerHeight - (value / top) * innerHeight;
+
+  const grid = ticks.map(tick => `<line x1="${margin.left}" x2="${CHART_WIDTH - margin.right}" y1="${y(tick)}" y2="${y(tick)}" stroke="#e2e8f0"/>`
+    + `<text x="${margin.left - 6}" y="${y(tick) + 4}" text-anchor="end">${formatNumber(tick)}</text>`);
+  // First, middle and last dates are enough to place the curve in time
+  const dateLabels = [...new Set([0, Math.floor((labels.length - 1) / 2), labels.length - 1])]
+    .map(i => `<text x="${x(i)}" y="${height - 6}" text-anchor="middle">${escapeHtml(labels[i])}</text>`);
+  const lines = series.map(({ values }, index) => {
+    const points = values.map((value, i) => `${x(i).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+    return `<polyline points="${points}" fill="none" stroke="${COLORS[index % COLORS.length]}" stroke-width="1.5"/>`;
+  });
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${height}" width="100%" font-size="11" fill="#718096" role="img">`
+    + `${grid.join('')}${dateLabels.join('')}${lines.join('')}</svg>`
+    + (series.length > 1 ? legendHtml(series.map(({ name }) => name)) : '');
+}
+
+// items: [{ label, value }], drawn as horizontal bars
+function barChartSvg(items) {
+  const rowHeight = 22;
+  const labelWidth = 180;
+  const max = Math.max(1, ...items.map(({ value }) => value));
+  const barSpace = CHART_WIDTH - labelWidth - 60;
+
+  const rows = items.map(({ label, value }, i) => {
+    const y = i * rowHeight;
+    const text = label.length > 28 ? `${label.slice(0, 27)}…` : label;
+    return `<text x="${labelWidth - 8}" y="${y + 15}" text-anchor="end" fill="#2d3748">${escapeHtml(text)}</text>`
+      + `<rect x="${labelWidth}" y="${y + 4}" width="${((value / max) * barSpace).toFixed(1)}" height="${rowHeight - 8}" rx="3" fill="${COLORS[0]}"/>`
+      + `<text x="${labelWidth + (value / max) * barSpace + 6}" y="${y + 15}">${formatNumber(value)}</text>`;
+  });
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${items.length * rowHeight}" width="100%" font-size="12" fill="#718096" role="img">`
+    + `${rows.join('')}</svg>`;
+}
+
+const legendHtml = names => `<p class="legend">${names
+  .map((name, i) => `<span><i style="background:${COLORS[i % COLORS.length]}"></i>${escapeHtml(name)}</span>`)
+  .join('')}</p>`;
+
+const section = (title, body) => `<section><h2>${escapeHtml(title)}</h2>${body}</section>`;
+
+function kpisHtml(metrics) {
+  const days = metrics.datesCovered.length;
+  const tiles = [
+    ['Messages', formatNumber(metrics.userMessages), `${formatNumber(days ? metrics.userMessages / days : 0)} per day`],
+    ['Active members', formatNumber(metrics.uniqueUsers), `over ${days} day(s)`],
+    ['Replies', formatNumber(metrics.replyMessages),
+      `${metrics.userMessages ? Math.round((metrics.replyMessages / metrics.userMessages) * 100) : 0}% of messages`],
+    ['Reactions', formatNumber(metrics.reactions.total), null],
+    ['Links shared', formatNumber(metrics.links.shares), `${formatNumber(metrics.links.uniqueLinks)} distinct`],
+    ['Member change', `${metrics.growth.net >= 0 ? '+' : ''}${formatNumber(metrics.growth.net)}`,
+      `${formatNumber(metrics.growth.joins)} joined, ${formatNumber(metrics.growth.leaves)} left`],
+  ];
+  return `<div class="tiles">${tiles.map(([title, value, subtitle]) => `<div class="tile"><h3>${title}</h3>`
+    + `<p class="value">${value}</p>${subtitle ? `<p class="subtitle">${subtitle}</p>` : ''}</div>`).join('')}</div>`;
+}
+
+function dailyHtml(metrics) {
+  const dates = Object.keys(metrics.messagesByDate).sort();
+  if (dates.length === 0) return '<p class="empty">No messages in this range</p>';
+  return lineChartSvg(dates, [{ name: 'Messages', values: dates.map(date => metrics.messagesByDate[date]) }]);
+}
+
+function usersHtml(metrics) {
+  if (metrics.mostActiveUsers.length === 0) return '<p class="empty">No messages in this range</p>';
+  return barChartSvg(metrics.mostActiveUsers.map(({ user, count }) => ({ label: user, value: count })));
+}
+
+function wordsHtml(metrics) {
+  if (metrics.topWords.length === 0) return '<p class="empty">No text messages in this range</p>';
+  const phrases = metrics.topBigrams.slice(0, 10);
+  return barChartSvg(metrics.topWords.slice(0, 15).map(([word, count]) => ({ label: word, value: count })))
+    + (phrases.length > 0
+      ? `<h3>Common phrases</h3><p>${phrases.map(([phrase, count]) => `${escapeHtml(phrase)} (${count})`).join(', ')}</p>`
+      : '');
+}
+
+function growthHtml(metrics) {
+  const { timeline, joins, leaves, net } = metrics.growth;
+  if (timeline.length === 0) return '<p class="empty">No joins or leaves in this range</p>';
+  return `<p>${formatNumber(joins)} joined and ${formatNumber(leaves)} left, a net change of ${net >= 0 ? '+' : ''}${formatNumber(net)}.</p>`
+    + lineChartSvg(timeline.map(({ date }) => date), [
+      { name: 'Members (net since start of range)', values: timeline.map(({ members }) => members) },
+      { name: 'Joins', values: timeline.map(day => day.joins) },
+      { name: 'Leaves', values: timeline.map(day => day.leaves) },
+    ]);
+}
+
+const SECTION_HTML = {
+  kpis: kpisHtml,
+  daily: dailyHtml,
+  users: usersHtml,
+  words: wordsHtml,
+  growth: growthHtml,
+};
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1a202c;
+    max-width: 760px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { font-size: 1.125rem; border-bottom: 1px solid #e2e8f0; padding-bottom: 0.25rem; }
+  h3 { font-size: 0.875rem; color: #4a5568; }
+  .meta, .subtitle, .empty, .legend { color: #718096; font-size: 0.875rem; }
+  .notes { background: #f7fafc; border-left: 3px solid #8884d8; padding: 0.5rem 1rem; }
+  .tiles { display: grid; grid-template-columns: repeat(3, 1fr); gap: 0.75rem; }
+  .tile { border: 1px solid #e2e8f0; border-radius: 0.5rem; padding: 0.75rem 1rem; }
+  .tile h3 { margin: 0; font-weight: 500; }
+  .tile .value { font-size: 1.5rem; font-weight: 600; margin: 0.25rem 0 0; }
+  .tile .subtitle { margin: 0; }
+  .legend span { margin-right: 1rem; }
+  .legend i { display: inline-block; width: 0.75rem; height: 0.75rem; margin-right: 0.25rem; border-radius: 2px; }
+  section { margin-top: 2rem; }
+  @page { size: A4; margin: 15mm; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    section { break-inside: avoid; }
+    .legend i { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+`;
+
+// options: { title, notes, sections: [key...], chat, role, startDate, endDate, timeZone }
+export function buildReport(metrics, {
+  title,
+  notes = '',
+  sections = REPORT_SECTIONS.map(([key]) => key),
+  chat,
+  role,
+  startDate,
+  endDate,
+  timeZone,
+}) {
+  const range = startDate && endDate ? `${startDate} to ${endDate}` : 'All dates';
+  const meta = [chat || 'All chats', role && `${ROLE_LABELS[role]} only`, range, timeZone && `times in ${timeZoneLabel(timeZone)}`]
+    .filter(Boolean)
+    .join(' · ');
+  const notesHtml = notes.trim()
+    ? `<div class="notes">${notes.trim().split(/\n\s*\n/).map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`).join('')}</div>`
+    : '';
+  const body = REPORT_SECTIONS
+    .filter(([key]) => sections.includes(key))
+    .map(([key, label]) => section(label, SECTION_HTML[key](metrics)))
+    .join('');
+
+  return '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">'
+    + `<meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title>`
+    + `<style>${STYLES}</style></head><body><h1>${escapeHtml(title)}</h1>`
+    + `<p class="meta">${escapeHtml(meta)} · generated ${new Date().toISOString().slice(0, 10)}</p>`
+    + `${notesHtml}${body}</body></html>`;
+}
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { REPORT_SECTIONS, buildReport } from './report.jsx';
+import { downloadBlob } from './exportMenu.jsx';
+
+const inputClass = `mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm
+  sm:text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100`;
+
+// Prints the report from a hidden frame, so the browser's "Save as PDF" gets the print layout
+const printReport = (html) => {
+  const frame = document.createElement('iframe');
+  frame.style.display = 'none';
+  frame.onload = () => {
+    frame.contentWindow.print();
+    setTimeout(() => frame.remove(), 1000);
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+};
+
+// Pick sections, add a title and notes, then save the report as HTML or print it to PDF
+const ReportDialog = ({ metrics, options, onClose }) => {
+  const [title, setTitle] = useState('Community report');
+  const [notes, setNotes] = useState('');
+  const [sections, setSections] = useState(REPORT_SECTIONS.map(([key]) => key));
+
+  const toggleSection = (key) =>
+    setSections(sections.includes(key) ? sections.filter((current) => current !== key) : [...sections, key]);
+
+  const report = () => buildReport(metrics, { ...options, title: title.trim() || 'Community report', notes, sections });
+  const filename = `${(title.trim() || 'report').replace(/[^\w-]+/g, '_')}.html`;
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-black bg-opacity-50" onClick={onClose}>
+      <div
+        className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6 w-full max-w-lg space-y-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Generate report</h2>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Title</label>
+          <input value={title} onChange={(e) => setTitle(e.target.value)} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Notes</label>
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            rows={4}
+            placeholder="Highlights, context or announcements for readers"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <p className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Sections</p>
+          <div className="grid grid-cols-2 gap-2">
+            {REPORT_SECTIONS.map(([key, label]) => (
+              <label key={key} className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                <input type="checkbox" checked={sections.includes(key)} onChange={() => toggleSection(key)} />
+                <span>{label}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Covers the selected chat and date range. The HTML file has everything inline and opens offline.
+        </p>
+        <div className="flex justify-end space-x-2">
+          <button
+            onClick={onClose}
+            className="px-3 py-1 rounded-md text-sm text-gray-500 dark:text-gray-300 hover:text-gray-700 dark:hover:text-gray-100"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => printReport(report())}
+            className="px-3 py-1 rounded-md text-sm font-semibold bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+          >
+            Print / Save as PDF
+          </button>
+          <button
+            onClick={() => downloadBlob(report(), 'text/html', filename)}
+            className="px-3 py-1 rounded-md text-sm font-semibold bg-indigo-50 text-indigo-700 hover:bg-indigo-100"
+          >
+            Download HTML
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReportDialog;
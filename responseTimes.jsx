@@ -0,0 +1,123 @@
+import React from 'react';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from 'recharts';
+import { COLORS, CollapsibleSection, StatsCard, ScrollableList } from './components.jsx';
+import { formatDateTime } from './timezone.jsx';
+
+// 95000 -> "1m 35s", 7200000 -> "2h 0m"
+const formatDuration = (ms) => {
+  if (ms === null) return '–';
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+// How long questions ("...?" messages) wait for a first reply from someone else
+const ResponseTimes = ({ responseTimes, timeZone, onSelectUser }) => {
+  const hourlyData = responseTimes.byHour.map(({ hour, questions, medianMs }) => ({
+    hour,
+    questions,
+    minutes: medianMs === null ? 0 : +(medianMs / 60000).toFixed(1),
+  }));
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <StatsCard
+          title="Questions"
+          value={responseTimes.questions.toLocaleString()}
+          subtitle={`${responseTimes.answered.toLocaleString()} answered`}
+        />
+        <StatsCard title="Median first reply" value={formatDuration(responseTimes.medianMs)} />
+        <StatsCard title="90th percentile" value={formatDuration(responseTimes.p90Ms)} />
+        <StatsCard
+          title="Never answered"
+          value={`${(responseTimes.unansweredShare * 100).toFixed(1)}%`}
+          subtitle="replies outside the date range aren't counted"
+        />
+      </div>
+
+      <CollapsibleSection title="Median First Reply by Hour Asked (minutes)">
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={hourlyData} className="dark:bg-gray-800">
+              <CartesianGrid stroke="#4a5568" strokeDasharray="3 3" />
+              <XAxis dataKey="hour" stroke="#718096" tick={{ fill: '#718096' }} />
+              <YAxis stroke="#718096" tick={{ fill: '#718096' }} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#2d3748', color: '#e2e8f0' }}
+                formatter={(value, name, { payload }) => [
+                  `${value} min (${payload.questions} answered)`,
+                  'Median wait',
+                ]}
+              />
+              <Bar dataKey="minutes" fill={COLORS[2]} radius={[4, 4, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </CollapsibleSection>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <CollapsibleSection title="Responders">
+          {responseTimes.byResponder.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No answered questions</p>
+          ) : (
+            responseTimes.byResponder.map(({ user, answers, medianMs }, rank) => (
+              <div
+                key={user}
+                className="flex items-center justify-between py-2 border-b dark:border-gray-600 last:border-0"
+              >
+                <button
+                  onClick={() => onSelectUser(user)}
+                  className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline text-left"
+                >
+                  {rank + 1}. {user}
+                </button>
+                <span className="text-sm text-gray-500 dark:text-gray-400">
+                  {answers} answered, median {formatDuration(medianMs)}
+                </span>
+              </div>
+            ))
+          )}
+        </CollapsibleSection>
+
+        <CollapsibleSection title={`Unanswered Questions (${responseTimes.unansweredCount})`}>
+          <ScrollableList
+            items={responseTimes.unanswered}
+            renderItem={(question) => (
+              <div
+                key={`${question.chat}:${question.id}`}
+                className="p-2 bg-gray-50 dark:bg-gray-700 rounded mb-2"
+              >
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {question.sender} · {formatDateTime(question, timeZone)}
+                </p>
+                <p className="text-sm text-gray-900 dark:text-gray-100 whitespace-pre-line">
+                  {question.text ?? <em>(text hidden)</em>}
+                </p>
+              </div>
+            )}
+          />
+          {responseTimes.unansweredCount > responseTimes.unanswered.length && (
+            <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+              Showing the {responseTimes.unanswered.length} most recent
+            </p>
+          )}
+        </CollapsibleSection>
+      </div>
+    </div>
+  );
+};
+
+export default ResponseTimes;
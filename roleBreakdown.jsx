@@ -0,0 +1,68 @@
+import React from 'react';
+import {
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { COLORS, CollapsibleSection } from './components.jsx';
+import { COMMUNITY_ROLE, ROLES, ROLE_LABELS } from './directory.jsx';
+
+const ROLE_ORDER = [...ROLES.map(([role]) => role), COMMUNITY_ROLE];
+
+const formatShare = (value) => `${(value * 100).toFixed(0)}%`;
+
+// Who carries the conversation: each role's people, messages and daily share of messages
+const RoleBreakdown = ({ roles, onSelectRole }) => {
+  const present = ROLE_ORDER.filter((role) => roles.totals.some((total) => total.role === role));
+
+  return (
+    <CollapsibleSection title="Message Share by Role">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+        {roles.totals.map(({ role, messages, people, share }) => (
+          <button
+            key={role}
+            onClick={() => onSelectRole(role)}
+            className="p-4 bg-gray-50 dark:bg-gray-700 rounded-lg text-left hover:bg-gray-100 dark:hover:bg-gray-600"
+          >
+            <p className="font-medium text-gray-900 dark:text-gray-100">{ROLE_LABELS[role] || role}</p>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {formatShare(share)} of messages, {people} {people === 1 ? 'person' : 'people'}
+            </p>
+            <p className="text-xs text-gray-500 dark:text-gray-400">{messages.toLocaleString()} messages</p>
+          </button>
+        ))}
+      </div>
+      {present.length > 1 && (
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <AreaChart data={roles.byDate} stackOffset="expand" className="dark:bg-gray-800">
+              <CartesianGrid stroke="#4a5568" strokeDasharray="3 3" />
+              <XAxis dataKey="date" stroke="#718096" tick={{ fill: '#718096' }} />
+              <YAxis tickFormatter={formatShare} stroke="#718096" tick={{ fill: '#718096' }} />
+              <Tooltip contentStyle={{ backgroundColor: '#2d3748', color: '#e2e8f0' }} />
+              <Legend wrapperStyle={{ color: '#718096' }} />
+              {present.map((role) => (
+                <Area
+                  key={role}
+                  type="monotone"
+                  dataKey={role}
+                  name={ROLE_LABELS[role]}
+                  stackId="roles"
+                  stroke={COLORS[ROLE_ORDER.indexOf(role) % COLORS.length]}
+                  fill={COLORS[ROLE_ORDER.indexOf(role) % COLORS.length]}
+                />
+              ))}
+            </AreaChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </CollapsibleSection>
+  );
+};
+
+export default RoleBreakdown;
@@ -1,163 +1,716 @@
-// Chat analysis functions
-export async function analyzeChatLog(content) {
-  function parseDate(dateStr) {
-    // Handle Telegram date format: "DD.MM.YYYY HH:mm:ss UTC-07:00"
-    const [datePart] = dateStr.split(' ');
-    const [day, month, year] = datePart.split('.');
-    return new Date(`${year}-${month}-${day}`);
-  }
+import { parseChatExport, parseMemberEvent } from './parser.jsx';
+import { EXPORT_TIMEZONE, zonedParts } from './timezone.jsx';
+import { normalizeLink } from './links.jsx';
+import { COMMUNITY_ROLE } from './directory.jsx';
+import { DEFAULT_TEXT_OPTIONS, countTerms, createTermCounter, createTermExtractor } from './textAnalysis.jsx';
 
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(content, 'text/html');
+const UNKNOWN_SENDER = 'Unknown';
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
-  // Get all messages
-  const messages = Array.from(doc.querySelectorAll('.message'));
-  const userMessages = messages.filter(msg => msg.classList.contains('default'));
-  const serviceMessages = messages.filter(msg => msg.classList.contains('service'));
+function topEntries(counts, limit) {
+  const sorted = Object.entries(counts).sort(([,a], [,b]) => b - a);
+  return limit ? sorted.slice(0, limit) : sorted;
+}
 
-  // Extract users and their message counts
-  const userCounts = {};
-  const reactionCounts = {};
-  const userMessagesByDate = {};
-  const userTypes = new Set();
+const senderOf = msg => msg.sender || UNKNOWN_SENDER;
 
-  userMessages.forEach(msg => {
-    const nameElem = msg.querySelector('.from_name');
-    const dateElem = msg.querySelector('.date.details');
+// Each chip carries its own count, so a message with 👍 12 and ❤️ 3 has 15 reactions
+const reactionTotal = msg => msg.reactions.reduce((sum, reaction) => sum + reaction.count, 0);
 
-    if (nameElem) {
-      const name = nameElem.textContent.trim();
-      userCounts[name] = (userCounts[name] || 0) + 1;
+// Below this many messages a reactions-per-message rate is mostly noise
+const MIN_MESSAGES_FOR_RATE = 5;
 
-      // Track reactions received
-      const reactions = msg.querySelectorAll('.reaction');
-      if (reactions.length > 0) {
-        reactionCounts[name] = (reactionCounts[name] || 0) + reactions.length;
-      }
+// Longest run of consecutive calendar days in a sorted list of "YYYY-MM-DD" keys
+function longestStreak(days) {
+  let longest = 0;
+  let current = 0;
+  let previous = null;
 
-      // Track message dates for user activity
-      if (dateElem) {
-        const fullDate = dateElem.getAttribute('title');
-        if (fullDate) {
-          try {
-            const date = parseDate(fullDate);
-            const dateStr = date.toISOString().split('T')[0];
-            if (!userMessagesByDate[name]) {
-              userMessagesByDate[name] = {};
-            }
-            userMessagesByDate[name][dateStr] = (userMessagesByDate[name][dateStr] || 0) + 1;
-          } catch (e) {
-            console.warn('Error parsing user message date:', fullDate);
-          }
+  days.forEach(day => {
+    const time = Date.parse(`${day}T00:00:00Z`);
+    current = previous !== null && time - previous === 86400000 ? current + 1 : 1;
+    longest = Math.max(longest, current);
+    previous = time;
+  });
+
+  return longest;
+}
+
+const messageRef = (chat, id) => `${chat}:${id}`;
+
+// Follows reply links up to the first message that isn't a reply. When the parent isn't in
+// the (filtered) list, the thread is rooted at that missing id.
+function createRootResolver(byRef) {
+  const rootOf = new Map();
+
+  return msg => {
+    const path = [];
+    let current = msg;
+    let ref = messageRef(msg.chat, msg.id);
+    let root;
+
+    while (root === undefined) {
+      if (rootOf.has(ref)) {
+        root = rootOf.get(ref);
+      } else if (current.replyTo === null) {
+        path.push(ref);
+        root = ref;
+      } else {
+        path.push(ref);
+        const parentRef = messageRef(current.chat, current.replyTo);
+        const parent = byRef.get(parentRef);
+        if (!parent || path.includes(parentRef)) {
+          root = parentRef;
+        } else {
+          current = parent;
+          ref = parentRef;
         }
       }
+    }
+
+    path.forEach(step => rootOf.set(step, root));
+    return root;
+  };
+}
+
+const snippet = text => (text.length > 200 ? `${text.slice(0, 200)}…` : text);
+
+// Message bodies in drill-down lists; null when privacy mode hides them
+const preview = (text, hideText) => (hideText ? null : snippet(text));
+
+// Forum topics are service messages ("X created topic «Title»") that every post in the topic replies to
+const topicOf = action => action?.match(/ created topic «(.+)»$/)?.[1] ?? null;
+
+// Roots resolve against service messages too, so threads under a forum topic hang off the topic
+function buildReplyGraph(userMessages, serviceMessages, hideText) {
+  const byRef = new Map([...serviceMessages, ...userMessages].map(msg => [messageRef(msg.chat, msg.id), msg]));
+  const resolveRoot = createRootResolver(byRef);
+  const threads = new Map();
+  const edges = {};
+  const people = {};
 
-      // Track user types (if they have special markers in name)
-      if (name.includes('|')) userTypes.add('Team Member');
-      if (name.includes('admin')) userTypes.add('Admin');
-      if (name.includes('mod')) userTypes.add('Moderator');
+  const personStats = name => {
+    if (!people[name]) people[name] = { user: name, repliesGiven: 0, repliesReceived: 0, helped: new Set() };
+    return people[name];
+  };
+
+  userMessages.forEach(msg => {
+    if (msg.replyTo === null) return;
+
+    const rootRef = resolveRoot(msg);
+    if (!threads.has(rootRef)) {
+      threads.set(rootRef, { rootRef, chat: msg.chat, replies: [], participants: new Set() });
     }
+    const thread = threads.get(rootRef);
+    thread.replies.push(msg);
+    thread.participants.add(senderOf(msg));
+
+    // Reply network edges skip people answering themselves
+    const parent = byRef.get(messageRef(msg.chat, msg.replyTo));
+    if (!parent || parent.type !== 'message') return;
+    const from = senderOf(msg);
+    const to = senderOf(parent);
+    if (from === to) return;
+
+    const edgeKey = `${from}\u0000${to}`;
+    edges[edgeKey] = (edges[edgeKey] || 0) + 1;
+    personStats(from).repliesGiven++;
+    personStats(from).helped.add(to);
+    personStats(to).repliesReceived++;
   });
 
-  // Get message times distribution
-  const hourCounts = {};
-  const dayOfWeekCounts = {};
-  const messagesByDate = {};
+  return {
+    threads: Array.from(threads.values()).map(thread => {
+      const found = byRef.get(thread.rootRef);
+      const root = found?.type === 'message' ? found : null;
+      if (root) thread.participants.add(senderOf(root));
+      const timestamps = thread.replies.map(msg => msg.timestamp).filter(time => time !== null);
 
-  messages.forEach(msg => {
-    const timeElem = msg.querySelector('.date.details');
-    if (timeElem) {
-      const fullDate = timeElem.getAttribute('title');
-      if (fullDate) {
-        try {
-          // Extract hour from the display time
-          const timeText = timeElem.textContent.trim();
-          if (timeText.includes(':')) {
-            const hour = parseInt(timeText.split(':')[0]);
-            if (!isNaN(hour)) {
-              hourCounts[hour] = (hourCounts[hour] || 0) + 1;
-            }
+      return {
+        chat: thread.chat,
+        rootId: found ? found.id : parseInt(thread.rootRef.slice(thread.rootRef.lastIndexOf(':') + 1)),
+        // Set when the thread hangs off a service message, usually a forum topic
+        rootEvent: found && !root ? {
+          isTopic: topicOf(found.action) !== null,
+          label: hideText ? null : topicOf(found.action) ?? found.action,
+        } : null,
+        root: root
+          ? {
+            sender: senderOf(root),
+            text: preview(root.text, hideText),
+            timestamp: root.timestamp,
+            utcOffset: root.utcOffset,
           }
+          : null,
+        messages: thread.replies.length + (root ? 1 : 0),
+        participants: Array.from(thread.participants),
+        lastReplyAt: timestamps.length > 0 ? Math.max(...timestamps) : null,
+      };
+    }),
+    replyNetwork: {
+      edges: Object.entries(edges)
+        .map(([key, count]) => {
+          const [from, to] = key.split('\u0000');
+          return { from, to, count };
+        })
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 100),
+      // Helpers: people who answer the most others
+      people: Object.values(people)
+        .map(({ helped, ...stats }) => ({ ...stats, peopleHelped: helped.size }))
+        .sort((a, b) => b.repliesGiven - a.repliesGiven)
+        .slice(0, 20),
+    },
+  };
+}
 
-          // Parse the full date
-          const date = parseDate(fullDate);
-          const dayOfWeek = date.toLocaleDateString('en-US', { weekday: 'long' });
-          dayOfWeekCounts[dayOfWeek] = (dayOfWeekCounts[dayOfWeek] || 0) + 1;
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
 
-          const dateStr = date.toISOString().split('T')[0];
-          messagesByDate[dateStr] = (messagesByDate[dateStr] || 0) + 1;
-        } catch (e) {
-          console.warn('Error parsing message date:', fullDate);
-        }
-      }
+const isQuestion = msg => msg.text.trim().endsWith('?');
+
+// How long questions wait for their first reply from someone else. Only replies inside the
+// current range count, so questions asked right before its end can look unanswered.
+function computeResponseTimes(userMessages, timeZone, hideText) {
+  const byRef = new Map(userMessages.map(msg => [messageRef(msg.chat, msg.id), msg]));
+  const firstReply = new Map();
+  userMessages.forEach(msg => {
+    if (msg.replyTo === null || msg.timestamp === null) return;
+    const ref = messageRef(msg.chat, msg.replyTo);
+    const parent = byRef.get(ref);
+    // Following up on your own question isn't an answer
+    if (!parent || senderOf(parent) === senderOf(msg)) return;
+    const current = firstReply.get(ref);
+    if (!current || msg.timestamp < current.timestamp) firstReply.set(ref, msg);
+  });
+
+  const waits = [];
+  const waitsByHour = Array.from({ length: 24 }, () => []);
+  const waitsByResponder = {};
+  const unanswered = [];
+
+  userMessages.forEach(msg => {
+    if (!isQuestion(msg) || msg.timestamp === null) return;
+
+    const reply = firstReply.get(messageRef(msg.chat, msg.id));
+    if (!reply) {
+      unanswered.push(msg);
+      return;
     }
+
+    const wait = Math.max(0, reply.timestamp - msg.timestamp);
+    waits.push(wait);
+    waitsByHour[zonedParts(msg, timeZone).hour].push(wait);
+    const responder = senderOf(reply);
+    if (!waitsByResponder[responder]) waitsByResponder[responder] = [];
+    waitsByResponder[responder].push(wait);
   });
 
-  // Get unique dates
-  const dates = new Set();
+  const ascending = list => [...list].sort((a, b) => a - b);
+  const sortedWaits = ascending(waits);
+  const questions = waits.length + unanswered.length;
+
+  return {
+    questions,
+    answered: waits.length,
+    unansweredShare: questions > 0 ? unanswered.length / questions : 0,
+    medianMs: percentile(sortedWaits, 0.5),
+    p90Ms: percentile(sortedWaits, 0.9),
+    byHour: waitsByHour.map((hourWaits, hour) => ({
+      hour,
+      questions: hourWaits.length,
+      medianMs: percentile(ascending(hourWaits), 0.5),
+    })),
+    byResponder: Object.entries(waitsByResponder)
+      .map(([user, responderWaits]) => ({
+        user,
+        answers: responderWaits.length,
+        medianMs: percentile(ascending(responderWaits), 0.5),
+      }))
+      .sort((a, b) => b.answers - a.answers)
+      .slice(0, 20),
+    unansweredCount: unanswered.length,
+    unanswered: unanswered
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, 100)
+      .map(msg => ({
+        chat: msg.chat,
+        id: msg.id,
+        sender: senderOf(msg),
+        text: preview(msg.text, hideText),
+        timestamp: msg.timestamp,
+        utcOffset: msg.utcOffset,
+      })),
+  };
+}
+
+const RETENTION_DAYS = [30, 60, 90];
+
+// "YYYY-MM-DD" arithmetic, in UTC so it never shifts with the browser's zone
+const addDays = (day, count) => new Date(Date.parse(`${day}T00:00:00Z`) + count * 86400000)
+  .toISOString()
+  .split('T')[0];
+
+// Monday of the week a day falls in
+function weekOf(day) {
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+  return addDays(day, -((weekday + 6) % 7));
+}
+
+// Joins and leaves from service messages, and whether people who joined went on to post.
+// HTML exports only name members, so joins are matched to senders by name.
+function computeGrowth(messages, timeZone) {
+  const eventsByDate = {};
+  const inviteSources = { link: 0, request: 0, added: 0 };
+  const inviters = {};
+  const settingsChanges = [];
+  const joinedOn = {};
+  const lastPost = {};
+  let joins = 0;
+  let leaves = 0;
+  let lastDay = null;
+
   messages.forEach(msg => {
-    const dateElem = msg.querySelector('.body.details');
-    if (dateElem && dateElem.textContent.includes('2024')) {
-      const dateText = dateElem.textContent.trim();
-      if (!dateText.includes(':')) {
-        dates.add(dateText);
-      }
+    const day = messageDay(msg, timeZone);
+    if (!day) return;
+    if (!lastDay || day > lastDay) lastDay = day;
+
+    if (msg.type === 'message') {
+      const name = senderOf(msg);
+      if (!lastPost[name] || day > lastPost[name]) lastPost[name] = day;
+      return;
+    }
+
+    const event = parseMemberEvent(msg.action);
+    if (!event) return;
+
+    if (event.kind === 'photo' || event.kind === 'title') {
+      settingsChanges.push({ date: day, kind: event.kind, actor: event.actor, title: event.title || null });
+      return;
+    }
+
+    if (!eventsByDate[day]) eventsByDate[day] = { joins: 0, leaves: 0 };
+    const count = event.members.length;
+
+    if (event.kind === 'join') {
+      joins += count;
+      eventsByDate[day].joins += count;
+      inviteSources[event.source] += count;
+      if (event.inviter) inviters[event.inviter] = (inviters[event.inviter] || 0) + count;
+      event.members.forEach(member => {
+        if (!joinedOn[member] || day < joinedOn[member]) joinedOn[member] = day;
+      });
+    } else {
+      leaves += count;
+      eventsByDate[day].leaves += count;
     }
   });
 
-  // Analyze message content
-  const messageLengths = [];
-  const wordFrequency = {};
-  const mentions = {};
-  const links = new Set();
+  let members = 0;
+  const timeline = Object.keys(eventsByDate).sort().map(date => {
+    const { joins: dayJoins, leaves: dayLeaves } = eventsByDate[date];
+    members += dayJoins - dayLeaves;
+    return { date, joins: dayJoins, leaves: dayLeaves, net: dayJoins - dayLeaves, members };
+  });
+
+  // Weekly join cohorts; a retention figure stays null until the whole cohort has been
+  // in the group that long within the loaded range
+  const cohorts = {};
+  Object.entries(joinedOn).forEach(([member, day]) => {
+    const week = weekOf(day);
+    if (!cohorts[week]) cohorts[week] = { week, joined: 0, posted: 0, retained: RETENTION_DAYS.map(() => 0) };
+    const cohort = cohorts[week];
+    cohort.joined++;
+    if (lastPost[member] && lastPost[member] >= day) cohort.posted++;
+    RETENTION_DAYS.forEach((days, index) => {
+      if (lastPost[member] && lastPost[member] >= addDays(day, days)) cohort.retained[index]++;
+    });
+  });
+
+  return {
+    joins,
+    leaves,
+    net: joins - leaves,
+    timeline,
+    inviteSources: Object.entries(inviteSources).map(([source, count]) => ({ source, count })),
+    topInviters: topEntries(inviters, 10),
+    settingsChanges,
+    retentionDays: RETENTION_DAYS,
+    cohorts: Object.values(cohorts)
+      .sort((a, b) => a.week.localeCompare(b.week))
+      .map(({ week, joined, posted, retained }) => ({
+        week,
+        joined,
+        posted: posted / joined,
+        retention: RETENTION_DAYS.map((days, index) =>
+          addDays(addDays(week, 6), days) <= lastDay ? retained[index] / joined : null
+        ),
+      })),
+  };
+}
+
+// Reactions by emoji, by message and by person. Exports only list who reacted for some
+// chips (small groups, or the first few reactors), so givers cover part of the total.
+function computeReactions(userMessages, userCounts, reactionCounts, hideText) {
+  const byEmoji = {};
+  const givers = {};
+  let total = 0;
+  let attributed = 0;
 
   userMessages.forEach(msg => {
-    const textElem = msg.querySelector('.text');
-    if (textElem) {
-      const text = textElem.textContent.trim();
-
-      // Message length
-      messageLengths.push(text.length);
-
-      // Word frequency
-      const words = text.toLowerCase().split(/\s+/);
-      words.forEach(word => {
-        if (word.length > 3) { // Skip short words
-          wordFrequency[word] = (wordFrequency[word] || 0) + 1;
-        }
+    msg.reactions.forEach(reaction => {
+      const emoji = reaction.emoji || '?';
+      byEmoji[emoji] = (byEmoji[emoji] || 0) + reaction.count;
+      total += reaction.count;
+      attributed += reaction.from.length;
+      reaction.from.forEach(giver => {
+        givers[giver] = (givers[giver] || 0) + 1;
       });
+    });
+  });
 
-      // Track mentions
-      const mentionMatches = text.match(/@[\w]+/g);
-      if (mentionMatches) {
-        mentionMatches.forEach(mention => {
-          mentions[mention] = (mentions[mention] || 0) + 1;
-        });
+  const topMessages = userMessages
+    .filter(msg => msg.reactions.length > 0)
+    .map(msg => ({ msg, total: reactionTotal(msg) }))
+    .sort((a, b) => b.total - a.total)
+    .slice(0, 10)
+    .map(({ msg, total: messageTotal }) => ({
+      chat: msg.chat,
+      id: msg.id,
+      sender: senderOf(msg),
+      text: preview(msg.text, hideText),
+      timestamp: msg.timestamp,
+      utcOffset: msg.utcOffset,
+      total: messageTotal,
+      reactions: msg.reactions.map(({ emoji, count }) => ({ emoji: emoji || '?', count })),
+    }));
+
+  return {
+    total,
+    attributedShare: total > 0 ? attributed / total : 0,
+    byEmoji: topEntries(byEmoji, 20),
+    topMessages,
+    topGivers: topEntries(givers, 20),
+    topReceivers: topEntries(reactionCounts, 20),
+    // Reactions per message, so people who post a lot don't win by volume alone
+    engagement: Object.entries(reactionCounts)
+      .filter(([user]) => userCounts[user] >= MIN_MESSAGES_FOR_RATE)
+      .map(([user, reactions]) => ({
+        user,
+        messages: userCounts[user],
+        reactions,
+        perMessage: reactions / userCounts[user],
+      }))
+      .sort((a, b) => b.perMessage - a.perMessage)
+      .slice(0, 20),
+    minMessagesForRate: MIN_MESSAGES_FOR_RATE,
+  };
+}
+
+// Shared links counted after normalization, per link and per domain, with who shared them
+function computeLinks(userMessages, timeZone) {
+  const byUrl = {};
+  const byDomain = {};
+  const sharesByDate = {};
+  let shares = 0;
+
+  // The first share keeps its message's UTC offset, so its date can follow the selected timezone
+  const track = (stats, name, msg) => {
+    stats.count++;
+    stats.sharers[name] = (stats.sharers[name] || 0) + 1;
+    if (msg.timestamp !== null && (stats.firstSharedAt === null || msg.timestamp < stats.firstSharedAt)) {
+      stats.firstSharedAt = msg.timestamp;
+      stats.firstSharedOffset = msg.utcOffset;
+      stats.firstSharedBy = name;
+    }
+  };
+  const newStats = fields => ({
+    ...fields,
+    count: 0,
+    sharers: {},
+    firstSharedAt: null,
+    firstSharedOffset: null,
+    firstSharedBy: null,
+  });
+
+  userMessages.forEach(msg => {
+    const name = senderOf(msg);
+    // The same link pasted twice in one message is one share
+    const urls = new Map();
+    msg.links.forEach(href => {
+      const link = normalizeLink(href);
+      if (link) urls.set(link.url, link);
+    });
+
+    urls.forEach(({ url, domain }) => {
+      shares++;
+      if (!byUrl[url]) byUrl[url] = newStats({ url, domain });
+      if (!byDomain[domain]) byDomain[domain] = { ...newStats({ domain }), urls: new Set() };
+      track(byUrl[url], name, msg);
+      track(byDomain[domain], name, msg);
+      byDomain[domain].urls.add(url);
+
+      if (msg.timestamp !== null) {
+        const date = zonedParts(msg, timeZone).date;
+        sharesByDate[date] = (sharesByDate[date] || 0) + 1;
       }
+    });
+  });
 
-      // Track links
-      const linkElems = msg.querySelectorAll('a');
-      linkElems.forEach(link => {
-        const href = link.getAttribute('href');
-        if (href && !href.startsWith('@')) {
-          links.add(href);
-        }
+  const summarize = ({ sharers, urls, ...stats }) => ({
+    ...stats,
+    ...(urls && { uniqueLinks: urls.size }),
+    topSharer: topEntries(sharers, 1)[0]?.[0] || null,
+    sharerCount: Object.keys(sharers).length,
+  });
+
+  return {
+    shares,
+    uniqueLinks: Object.keys(byUrl).length,
+    topLinks: Object.values(byUrl)
+      .sort((a, b) => b.count - a.count || (a.firstSharedAt ?? 0) - (b.firstSharedAt ?? 0))
+      .slice(0, 100)
+      .map(summarize),
+    topDomains: Object.values(byDomain)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 20)
+      .map(summarize),
+    sharesByDate,
+  };
+}
+
+// Messages and people per role (from the user directory), and each role's daily share
+function computeRoles(userMessages, timeZone) {
+  const messagesByRole = {};
+  const peopleByRole = {};
+  const byDate = {};
+
+  userMessages.forEach(msg => {
+    const role = msg.role || COMMUNITY_ROLE;
+    messagesByRole[role] = (messagesByRole[role] || 0) + 1;
+    if (!peopleByRole[role]) peopleByRole[role] = new Set();
+    peopleByRole[role].add(senderOf(msg));
+
+    if (msg.timestamp === null) return;
+    const { date } = zonedParts(msg, timeZone);
+    if (!byDate[date]) byDate[date] = {};
+    byDate[date][role] = (byDate[date][role] || 0) + 1;
+  });
+
+  return {
+    totals: topEntries(messagesByRole).map(([role, messages]) => ({
+      role,
+      messages,
+      people: peopleByRole[role].size,
+      share: messages / userMessages.length,
+    })),
+    // Every role on every day, so stacked charts have no gaps
+    byDate: Object.keys(byDate).sort().map(date => ({
+      date,
+      ...Object.fromEntries(Object.keys(messagesByRole).map(role => [role, byDate[date][role] || 0])),
+    })),
+  };
+}
+
+const MESSAGE_KINDS = ['text', 'photo', 'video', 'file', 'voice', 'sticker', 'forward', 'poll', 'other'];
+const MEDIA_KINDS = new Set(['photo', 'video', 'file', 'voice', 'sticker', 'poll']);
+
+const KIND_OF_MEDIA = {
+  photo: 'photo',
+  video: 'video',
+  animation: 'video',
+  file: 'file',
+  audio_file: 'file',
+  voice_message: 'voice',
+  sticker: 'sticker',
+  poll: 'poll',
+};
+
+// One bucket per message; a forward counts as a forward whatever it carries
+function messageKind(msg) {
+  if (msg.forwardedFrom) return 'forward';
+  if (!msg.mediaType) return 'text';
+  return KIND_OF_MEDIA[msg.mediaType] || 'other';
+}
+
+// Message types over time and per person, forward sources and polls
+function computeContent(userMessages, timeZone) {
+  const kindTotals = Object.fromEntries(MESSAGE_KINDS.map(kind => [kind, 0]));
+  const kindsByDate = {};
+  const byUser = {};
+  const forwardSources = {};
+  const polls = [];
+
+  userMessages.forEach(msg => {
+    const kind = messageKind(msg);
+    const name = senderOf(msg);
+    kindTotals[kind]++;
+
+    if (msg.timestamp !== null) {
+      const date = zonedParts(msg, timeZone).date;
+      if (!kindsByDate[date]) kindsByDate[date] = { date, ...Object.fromEntries(MESSAGE_KINDS.map(k => [k, 0])) };
+      kindsByDate[date][kind]++;
+    }
+
+    if (!byUser[name]) byUser[name] = { user: name, messages: 0, media: 0, forwards: 0 };
+    byUser[name].messages++;
+    if (MEDIA_KINDS.has(kind)) byUser[name].media++;
+    if (kind === 'forward') byUser[name].forwards++;
+
+    if (msg.forwardedFrom) forwardSources[msg.forwardedFrom] = (forwardSources[msg.forwardedFrom] || 0) + 1;
+
+    if (msg.poll) {
+      polls.push({
+        chat: msg.chat,
+        id: msg.id,
+        sender: name,
+        timestamp: msg.timestamp,
+        utcOffset: msg.utcOffset,
+        ...msg.poll,
       });
     }
   });
 
-  // Calculate reply chains
-  const replyChains = {};
+  return {
+    kindTotals,
+    kindsByDate: Object.values(kindsByDate).sort((a, b) => a.date.localeCompare(b.date)),
+    mediaByUser: Object.values(byUser)
+      .filter(({ media, forwards }) => media + forwards > 0)
+      .map(stats => ({ ...stats, mediaShare: stats.media / stats.messages }))
+      .sort((a, b) => b.media - a.media || b.forwards - a.forwards)
+      .slice(0, 20),
+    topForwardSources: topEntries(forwardSources, 15),
+    polls,
+  };
+}
+
+// Calendar day of a message; HTML service messages only know the day from the date separator
+export function messageDay(message, timeZone = EXPORT_TIMEZONE) {
+  if (message.timestamp !== null) return zonedParts(message, timeZone).date;
+  return message.day || null;
+}
+
+// Inclusive "YYYY-MM-DD" range, either end may be left open; chat limits to one group
+export function filterMessages(messages, { timeZone = EXPORT_TIMEZONE, startDate, endDate, chat, role } = {}) {
+  if (!startDate && !endDate && !chat && !role) return messages;
+
+  return messages.filter(msg => {
+    if (chat && msg.chat !== chat) return false;
+    // Service messages have no author, so joins and leaves stay in every role's view
+    if (role && msg.type === 'message' && (msg.role || COMMUNITY_ROLE) !== role) return false;
+    if (!startDate && !endDate) return true;
+
+    const day = messageDay(msg, timeZone);
+    if (!day) return false;
+    return (!startDate || day >= startDate) && (!endDate || day <= endDate);
+  });
+}
+
+// Chats in an upload, busiest first, keyed by the name in the export's page header
+export function listChats(messages) {
+  const counts = {};
+  messages.forEach(msg => {
+    if (msg.type === 'message') counts[msg.chat] = (counts[msg.chat] || 0) + 1;
+  });
+  return topEntries(counts).map(([name, count]) => ({ name, messages: count }));
+}
+
+export function dateBounds(messages, timeZone = EXPORT_TIMEZONE) {
+  let minDate = null;
+  let maxDate = null;
+
+  messages.forEach(msg => {
+    const day = messageDay(msg, timeZone);
+    if (!day) return;
+    if (!minDate || day < minDate) minDate = day;
+    if (!maxDate || day > maxDate) maxDate = day;
+  });
+
+  return { minDate, maxDate };
+}
+
+// Chat analysis functions; timeZone decides which day/hour/weekday a message falls in
+export function computeMetrics(messages, {
+  timeZone = EXPORT_TIMEZONE,
+  text: textOptions = DEFAULT_TEXT_OPTIONS,
+  hideText = false,
+} = {}) {
+  const userMessages = messages.filter(msg => msg.type === 'message');
+  const serviceMessages = messages.filter(msg => msg.type === 'service');
+
+  // Extract users and their message counts
+  const userCounts = {};
+  const reactionCounts = {};
+  const userMessagesByDate = {};
+
   userMessages.forEach(msg => {
-    const replyElem = msg.querySelector('.reply_to');
-    if (replyElem) {
-      const replyId = replyElem.querySelector('a')?.getAttribute('onclick')?.match(/\d+/)?.[0];
-      if (replyId) {
-        replyChains[replyId] = (replyChains[replyId] || 0) + 1;
+    // Keep per-user totals adding up to userMessages even when an author can't be resolved
+    const name = senderOf(msg);
+
+    userCounts[name] = (userCounts[name] || 0) + 1;
+
+    // Track reactions received
+    if (msg.reactions.length > 0) {
+      reactionCounts[name] = (reactionCounts[name] || 0) + reactionTotal(msg);
+    }
+
+    // Track message dates for user activity
+    if (msg.timestamp !== null) {
+      const dateStr = zonedParts(msg, timeZone).date;
+      if (!userMessagesByDate[name]) {
+        userMessagesByDate[name] = {};
       }
+      userMessagesByDate[name][dateStr] = (userMessagesByDate[name][dateStr] || 0) + 1;
+    }
+  });
+
+  // Get message times distribution (service messages only carry a time in JSON exports)
+  const hourCounts = {};
+  // Seeded in calendar order so the weekday chart doesn't follow message order
+  const dayOfWeekCounts = Object.fromEntries(DAY_NAMES.map(day => [day, 0]));
+  const messagesByDate = {};
+
+  userMessages.forEach(msg => {
+    if (msg.timestamp === null) return;
+
+    const { date: dateStr, hour, weekday } = zonedParts(msg, timeZone);
+    hourCounts[hour] = (hourCounts[hour] || 0) + 1;
+    dayOfWeekCounts[DAY_NAMES[weekday]] += 1;
+    messagesByDate[dateStr] = (messagesByDate[dateStr] || 0) + 1;
+  });
+
+  // Analyze message content
+  const messageLengths = [];
+  const terms = createTermCounter(textOptions);
+  const mentions = {};
+
+  userMessages.forEach(msg => {
+    const { text } = msg;
+    if (!text) return;
+
+    // Message length
+    messageLengths.push(text.length);
+
+    // Word and phrase frequency
+    terms.add(text);
+
+    // Track mentions
+    const mentionMatches = text.match(/@[\w]+/g);
+    if (mentionMatches) {
+      mentionMatches.forEach(mention => {
+        mentions[mention] = (mentions[mention] || 0) + 1;
+      });
     }
   });
 
+  // Reconstruct reply threads and who answers whom
+  const replyMessages = userMessages.filter(msg => msg.replyTo !== null).length;
+  const { threads, replyNetwork } = buildReplyGraph(userMessages, serviceMessages, hideText);
+  const reactions = computeReactions(userMessages, userCounts, reactionCounts, hideText);
+
   const avgMessageLength = messageLengths.length > 0
   ? Math.round(messageLengths.reduce((a, b) => a + b, 0) / messageLengths.length)
   : 0;
@@ -173,130 +726,358 @@ export async function analyzeChatLog(content) {
     messagesByDate,
     userMessagesByDate,
     reactionsByUser: reactionCounts,
-    datesCovered: Array.from(dates).sort(),
+    totalReactions: Object.values(reactionCounts).reduce((a, b) => a + b, 0),
+    replyMessages,
+    datesCovered: Object.keys(messagesByDate).sort(),
     averageMessageLength: avgMessageLength,
     messageLengthDistribution: messageLengths,
-    topWords: Object.entries(wordFrequency)
-    .sort(([,a], [,b]) => b - a)
-    .slice(0, 50),
-    topMentions: Object.entries(mentions)
-    .sort(([,a], [,b]) => b - a),
-    uniqueLinks: Array.from(links),
-    userTypes: Array.from(userTypes),
-    longestThreads: Object.entries(replyChains)
-    .sort(([,a], [,b]) => b - a)
-    .slice(0, 10)
+    topWords: topEntries(terms.words, 100),
+    topBigrams: topEntries(terms.bigrams, 30),
+    topTrigrams: topEntries(terms.trigrams, 30),
+    topMentions: topEntries(mentions, 20),
+    links: computeLinks(userMessages, timeZone),
+    roles: computeRoles(userMessages, timeZone),
+    longestThreads: [...threads].sort((a, b) => b.messages - a.messages).slice(0, 10),
+    mostParticipatedThreads: [...threads]
+    .sort((a, b) => b.participants.length - a.participants.length || b.messages - a.messages)
+    .slice(0, 10),
+    replyNetwork,
+    responseTimes: computeResponseTimes(userMessages, timeZone, hideText),
+    growth: computeGrowth(messages, timeZone),
+    reactions,
+    content: computeContent(userMessages, timeZone),
+    mostActiveUsers: topEntries(userCounts, 10)
+    .map(([user, count]) => ({ user, count })),
+    // Ranked by reactions per message, like the Reactions tab, not by volume
+    mostReactedTo: reactions.engagement.slice(0, 10)
+    .map(({ user, reactions: count, perMessage }) => ({ user, count, perMessage }))
   };
 }
 
-export async function aggregateMetrics(fileContents) {
-  const aggregated = {
-    totalMessages: 0,
-    userMessages: 0,
-    serviceMessages: 0,
-    uniqueUsers: new Set(),
-    messagesByUser: {},
-    messagesByHour: {},
-    messagesByDayOfWeek: {},
-    messagesByDate: {},
-    reactionsByUser: {},
-    datesCovered: new Set(),
-    messageLengths: [],
-    wordFrequency: {},
-    mentions: {},
-    links: new Set(),
-    userTypes: new Set(),
-    replyChains: {}
+const SEARCH_PAGE_SIZE = 50;
+
+// Messages behind the numbers: full-text and attribute filters over the current chat and
+// range, one page at a time. Replies carry the message they answer, looked up in the whole
+// upload so context outside the range still shows.
+export function searchMessages(messages, {
+  timeZone = EXPORT_TIMEZONE,
+  startDate,
+  endDate,
+  chat,
+  role,
+  query = '',
+  sender = null,
+  fromDate = null,
+  toDate = null,
+  domain = null,
+  hasLink = false,
+  hasMedia = false,
+  isReply = false,
+  isForwarded = false,
+  minReactions = 0,
+  sort = 'newest',
+  page = 0,
+  pageSize = SEARCH_PAGE_SIZE,
+  hideText = false,
+} = {}) {
+  const byRef = new Map(messages.map(msg => [messageRef(msg.chat, msg.id), msg]));
+  // Every word must appear, in any order and case
+  const needles = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  const matches = filterMessages(messages, { timeZone, startDate, endDate, chat, role }).filter(msg => {
+    if (msg.type !== 'message') return false;
+    if (sender && senderOf(msg) !== sender) return false;
+    if (fromDate || toDate) {
+      const day = messageDay(msg, timeZone);
+      if (!day || (fromDate && day < fromDate) || (toDate && day > toDate)) return false;
+    }
+    if (hasLink && msg.links.length === 0) return false;
+    // Links rather than text: anchors can show other words, and privacy mode strips URLs from text
+    if (domain && !msg.links.some(href => normalizeLink(href)?.domain === domain)) return false;
+    if (hasMedia && !msg.mediaType) return false;
+    if (isReply && msg.replyTo === null) return false;
+    if (isForwarded && !msg.forwardedFrom) return false;
+    if (minReactions > 0 && reactionTotal(msg) < minReactions) return false;
+    if (needles.length > 0) {
+      const haystack = msg.text.toLowerCase();
+      if (!needles.every(needle => haystack.includes(needle))) return false;
+    }
+    return true;
+  });
+
+  // Merged exports aren't always in time order; the id breaks ties within a second
+  const byTime = (a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0) || (a.id ?? 0) - (b.id ?? 0);
+  matches.sort(sort === 'newest' ? (a, b) => byTime(b, a) : byTime);
+
+  return {
+    total: matches.length,
+    page,
+    pageSize,
+    results: matches.slice(page * pageSize, (page + 1) * pageSize).map(msg => {
+      const parent = msg.replyTo !== null ? byRef.get(messageRef(msg.chat, msg.replyTo)) : null;
+      return {
+        chat: msg.chat,
+        id: msg.id,
+        sender: senderOf(msg),
+        timestamp: msg.timestamp,
+        utcOffset: msg.utcOffset,
+        text: hideText ? null : msg.text,
+        links: msg.links,
+        mediaType: msg.mediaType,
+        forwardedFrom: msg.forwardedFrom,
+        reactions: msg.reactions.map(({ emoji, count }) => ({ emoji: emoji || '?', count })),
+        replyTo: msg.replyTo === null
+          ? null
+          : { id: msg.replyTo, sender: parent ? senderOf(parent) : null, text: parent ? preview(parent.text, hideText) : null },
+      };
+    }),
   };
+}
 
-  for (const content of fileContents) {
-    try {
-      const metrics = await analyzeChatLog(content);
+// A term needs this many uses in the window it trends in, so one-off words don't top the list
+const TREND_MIN_COUNT = 3;
 
-      // Aggregate basic counts
-      aggregated.totalMessages += metrics.totalMessages;
-      aggregated.userMessages += metrics.userMessages;
-      aggregated.serviceMessages += metrics.serviceMessages;
+// Log2 change of a term's share of all words between windows. Half a use is added to both
+// sides so terms missing from one window get a large but finite score.
+function rankTrends(recent, baseline, limit) {
+  const rate = (count, total) => (count + 0.5) / (total + 1);
+  const trends = Array.from(new Set([...Object.keys(recent.counts), ...Object.keys(baseline.counts)]))
+    .map(term => {
+      const recentCount = recent.counts[term] || 0;
+      const baselineCount = baseline.counts[term] || 0;
+      return {
+        term,
+        recentCount,
+        baselineCount,
+        // Uses per 10,000 words, comparable across windows of different size
+        recentRate: (recentCount / Math.max(recent.total, 1)) * 10000,
+        baselineRate: (baselineCount / Math.max(baseline.total, 1)) * 10000,
+        score: Math.log2(rate(recentCount, recent.total) / rate(baselineCount, baseline.total)),
+      };
+    });
 
-      // Combine user data
-      Object.entries(metrics.messagesByUser).forEach(([user, count]) => {
-        aggregated.uniqueUsers.add(user);
-        aggregated.messagesByUser[user] = (aggregated.messagesByUser[user] || 0) + count;
-      });
+  return {
+    emerging: trends
+      .filter(trend => trend.score > 0 && trend.recentCount >= TREND_MIN_COUNT)
+      .sort((a, b) => b.score - a.score || b.recentCount - a.recentCount)
+      .slice(0, limit),
+    declining: trends
+      .filter(trend => trend.score < 0 && trend.baselineCount >= TREND_MIN_COUNT)
+      .sort((a, b) => a.score - b.score || b.baselineCount - a.baselineCount)
+      .slice(0, limit),
+  };
+}
 
-      // Combine time distributions
-      Object.entries(metrics.messagesByHour).forEach(([hour, count]) => {
-        aggregated.messagesByHour[hour] = (aggregated.messagesByHour[hour] || 0) + count;
-      });
+// Words and phrases rising or falling in the last recentDays compared to the baselineDays
+// before them, both ending at endDate (or the last day in the messages)
+export function computeTrends(messages, {
+  timeZone = EXPORT_TIMEZONE,
+  text: textOptions = DEFAULT_TEXT_OPTIONS,
+  endDate,
+  recentDays = 7,
+  baselineDays = 28,
+} = {}) {
+  const userMessages = messages.filter(msg => msg.type === 'message' && msg.text && msg.timestamp !== null);
+  const lastDay = endDate || dateBounds(userMessages, timeZone).maxDate;
+  if (!lastDay) return null;
 
-      Object.entries(metrics.messagesByDayOfWeek).forEach(([day, count]) => {
-        aggregated.messagesByDayOfWeek[day] = (aggregated.messagesByDayOfWeek[day] || 0) + count;
-      });
+  const recentStart = addDays(lastDay, 1 - recentDays);
+  const baselineStart = addDays(recentStart, -baselineDays);
+  const extract = createTermExtractor(textOptions);
+  const windowStats = () => ({ words: { counts: {}, total: 0 }, phrases: { counts: {}, total: 0 } });
+  const recent = windowStats();
+  const baseline = windowStats();
+  const termsByDate = [];
 
-      Object.entries(metrics.messagesByDate).forEach(([date, count]) => {
-        aggregated.messagesByDate[date] = (aggregated.messagesByDate[date] || 0) + count;
-      });
+  userMessages.forEach(msg => {
+    const date = zonedParts(msg, timeZone).date;
+    if (date < baselineStart || date > lastDay) return;
 
-      // Combine reactions
-      Object.entries(metrics.reactionsByUser).forEach(([user, count]) => {
-        aggregated.reactionsByUser[user] = (aggregated.reactionsByUser[user] || 0) + count;
-      });
+    const terms = extract(msg.text);
+    const window = date >= recentStart ? recent : baseline;
+    countTerms(window.words.counts, terms.words);
+    countTerms(window.phrases.counts, [...terms.bigrams, ...terms.trigrams]);
+    window.words.total += terms.words.length;
+    window.phrases.total += terms.words.length;
+    termsByDate.push({ date, terms: [...terms.words, ...terms.bigrams, ...terms.trigrams] });
+  });
 
-      // Add dates
-      metrics.datesCovered.forEach(date => aggregated.datesCovered.add(date));
+  const words = rankTrends(recent.words, baseline.words, 20);
+  const phrases = rankTrends(recent.phrases, baseline.phrases, 15);
 
-      // Combine message lengths
-      aggregated.messageLengths.push(...metrics.messageLengthDistribution);
+  // Daily uses of every listed term across both windows, for the sparklines
+  const dates = [];
+  for (let day = baselineStart; day <= lastDay; day = addDays(day, 1)) dates.push(day);
+  const dateIndex = new Map(dates.map((day, index) => [day, index]));
+  const series = {};
+  [words, phrases].forEach(({ emerging, declining }) => {
+    [...emerging, ...declining].forEach(({ term }) => {
+      series[term] = Array(dates.length).fill(0);
+    });
+  });
+  termsByDate.forEach(({ date, terms }) => {
+    terms.forEach(term => {
+      if (series[term]) series[term][dateIndex.get(date)]++;
+    });
+  });
 
-      // Combine word frequencies
-      metrics.topWords.forEach(([word, count]) => {
-        aggregated.wordFrequency[word] = (aggregated.wordFrequency[word] || 0) + count;
-      });
+  return {
+    baselineStart,
+    recentStart,
+    endDate: lastDay,
+    recentWords: recent.words.total,
+    baselineWords: baseline.words.total,
+    words,
+    phrases,
+    dates,
+    series,
+  };
+}
 
-      // Combine mentions
-      metrics.topMentions.forEach(([mention, count]) => {
-        aggregated.mentions[mention] = (aggregated.mentions[mention] || 0) + count;
-      });
+// Everything about one sender within the given messages (already filtered by range and chat)
+export function computeUserProfile(messages, user, { timeZone = EXPORT_TIMEZONE, text: textOptions = DEFAULT_TEXT_OPTIONS } = {}) {
+  const userMessages = messages.filter(msg => msg.type === 'message');
+  const senderById = new Map(userMessages.map(msg => [`${msg.chat}:${msg.id}`, senderOf(msg)]));
+
+  const messagesByDate = {};
+  // heatmap[weekday][hour], weekday 0 = Sunday
+  const heatmap = DAY_NAMES.map(() => Array(24).fill(0));
+  const terms = createTermCounter(textOptions);
+  const repliesTo = {};
+  const reactionsReceivedByEmoji = {};
+  const reactionsGivenTo = {};
+  let messageCount = 0;
+  let totalLength = 0;
+  let textMessages = 0;
+  let reactionsReceived = 0;
+
+  userMessages.forEach(msg => {
+    const sender = senderOf(msg);
+
+    // Reactions this user left on other people's messages
+    msg.reactions.forEach(reaction => {
+      if (reaction.from.includes(user)) {
+        reactionsGivenTo[sender] = (reactionsGivenTo[sender] || 0) + 1;
+      }
+    });
+
+    if (sender !== user) return;
+    messageCount++;
+
+    if (msg.timestamp !== null) {
+      const { date, hour, weekday } = zonedParts(msg, timeZone);
+      messagesByDate[date] = (messagesByDate[date] || 0) + 1;
+      heatmap[weekday][hour] += 1;
+    }
+
+    if (msg.text) {
+      textMessages++;
+      totalLength += msg.text.length;
+      terms.add(msg.text);
+    }
+
+    msg.reactions.forEach(reaction => {
+      reactionsReceived += reaction.count;
+      const emoji = reaction.emoji || '?';
+      reactionsReceivedByEmoji[emoji] = (reactionsReceivedByEmoji[emoji] || 0) + reaction.count;
+    });
+
+    const target = msg.replyTo !== null ? senderById.get(`${msg.chat}:${msg.replyTo}`) : null;
+    if (target) repliesTo[target] = (repliesTo[target] || 0) + 1;
+  });
+
+  const activeDays = Object.keys(messagesByDate).sort();
+
+  return {
+    user,
+    messageCount,
+    shareOfMessages: userMessages.length > 0 ? messageCount / userMessages.length : 0,
+    firstSeen: activeDays[0] || null,
+    lastSeen: activeDays[activeDays.length - 1] || null,
+    activeDays: activeDays.length,
+    longestStreak: longestStreak(activeDays),
+    messagesByDate,
+    heatmap,
+    averageMessageLength: textMessages > 0 ? Math.round(totalLength / textMessages) : 0,
+    topWords: topEntries(terms.words, 20),
+    reactionsReceived,
+    reactionsReceivedByEmoji: topEntries(reactionsReceivedByEmoji),
+    reactionsGiven: Object.values(reactionsGivenTo).reduce((a, b) => a + b, 0),
+    reactionsGivenTo: topEntries(reactionsGivenTo, 10),
+    repliesTo: topEntries(repliesTo, 10),
+  };
+}
+
+// Overlapping exports repeat messages; the id is only unique within one chat. Date
+// separators get per-export ids, so those are matched on their day instead.
+function messageKey(msg, chatName) {
+  if (msg.type === 'service' && !msg.action && msg.timestamp === null) {
+    return `${chatName}:day:${msg.day}`;
+  }
+  return msg.id === null ? null : `${chatName}:${msg.id}`;
+}
+
+// Joins separately parsed pages in export order. A page parsed on its own can't know who
+// wrote the joined messages at its top, so those inherit the previous page's last sender.
+// Anything already seen in an earlier page is dropped; only repeated user messages count
+// in duplicates, since every page of one export opens with the same day's separator.
+export function mergePages(pages) {
+  const messages = [];
+  const seen = new Set();
+  let duplicates = 0;
+  let lastSender = null;
+  let lastChat = null;
+
+  pages.forEach(page => {
+    const chatName = page.chat.name;
+    if (chatName !== lastChat) lastSender = null;
+    let resolving = page.format === 'html' && lastSender !== null;
+
+    page.messages.forEach(msg => {
+      let message = msg;
+      if (resolving && msg.type === 'message') {
+        if (msg.sender) {
+          resolving = false;
+        } else {
+          message = { ...msg, sender: lastSender };
+        }
+      }
+
+      const key = messageKey(message, chatName);
+      if (key !== null && seen.has(key)) {
+        if (message.type === 'message') duplicates++;
+        return;
+      }
+      if (key !== null) seen.add(key);
+      messages.push(message);
+    });
+
+    if (page.lastSender || page.format === 'json') lastSender = page.lastSender;
+    lastChat = chatName;
+  });
 
-      // Combine links and user types
-      metrics.uniqueLinks.forEach(link => aggregated.links.add(link));
-      metrics.userTypes.forEach(type => aggregated.userTypes.add(type));
+  return { messages, duplicates };
+}
+
+// Parse every export page into one message list; pages must be in export order
+export function parseChatExports(fileContents) {
+  const pages = [];
+
+  for (const content of fileContents) {
+    try {
+      pages.push(parseChatExport(content));
     } catch (error) {
       console.error(`Error processing file content:`, error);
     }
   }
 
-  const avgMessageLength = aggregated.messageLengths.length > 0
-  ? Math.round(aggregated.messageLengths.reduce((a, b) => a + b, 0) / aggregated.messageLengths.length)
-  : 0;
+  return mergePages(pages).messages;
+}
 
-  return {
-    totalMessages: aggregated.totalMessages,
-    userMessages: aggregated.userMessages,
-    serviceMessages: aggregated.serviceMessages,
-    uniqueUsers: aggregated.uniqueUsers.size,
-    messagesByUser: aggregated.messagesByUser,
-    messagesByHour: aggregated.messagesByHour,
-    messagesByDayOfWeek: aggregated.messagesByDayOfWeek,
-    messagesByDate: aggregated.messagesByDate,
-    reactionsByUser: aggregated.reactionsByUser,
-    datesCovered: Array.from(aggregated.datesCovered).sort(),
-    averageMessageLength: avgMessageLength,
-    topWords: Object.entries(aggregated.wordFrequency)
-    .sort(([,a], [,b]) => b - a)
-    .slice(0, 50),
-    topMentions: Object.entries(aggregated.mentions)
-    .sort(([,a], [,b]) => b - a)
-    .slice(0, 20),
-    uniqueLinks: Array.from(aggregated.links),
-    userTypes: Array.from(aggregated.userTypes),
-    mostActiveUsers: Object.entries(aggregated.messagesByUser)
-    .sort(([,a], [,b]) => b - a)
-    .slice(0, 10)
-    .map(([user, count]) => ({ user, count })),
-    mostReactedTo: Object.entries(aggregated.reactionsByUser)
-    .sort(([,a], [,b]) => b - a)
-    .slice(0, 10)
-    .map(([user, count]) => ({ user, count }))
-  };
+export async function analyzeChatLog(content, options) {
+  return computeMetrics(filterMessages(parseChatExport(content).messages, options), options);
+}
+
+export async function aggregateMetrics(fileContents, options) {
+  return computeMetrics(filterMessages(parseChatExports(fileContents), options), options);
 }
@@ -0,0 +1,63 @@
+// Common function words per language, left out of word counts and phrase edges
+export const STOP_WORDS = {
+  en: {
+    label: 'English',
+    words: `a about above after again against all also am an and any are aren't as at be because been before
+      being below between both but by can can't cannot could couldn't did didn't do does doesn't doing don't down
+      during each even few for from further get got had hadn't has hasn't have haven't having he he'd he'll he's
+      her here here's hers herself him himself his how how's i i'd i'll i'm i've if in into is isn't it it's its
+      itself just let's like me more most much mustn't my myself no nor not now of off on once only or other
+      ought our ours ourselves out over own really same shan't she she'd she'll she's should shouldn't so some
+      still such than that that's the their theirs them themselves then there there's these they they'd they'll
+      they're they've this those through to too under until up us very was wasn't we we'd we'll we're we've were
+      weren't what what's when when's where where's which while who who's whom why why's will with won't would
+      wouldn't yeah yes you you'd you'll you're you've your yours yourself yourselves one think know want need
+      thanks thank ok okay hi hey`,
+  },
+  ru: {
+    label: 'Russian',
+    words: `а без более бы был была были было быть в вам вас весь во вот все всего всех вы где да даже для до
+      его ее если есть еще же за здесь и из или им их к как какой когда кто ли либо мне может мы на над надо
+      наш не него нее нет ни них но ну о об однако он она они оно от очень по под после потому при про с так
+      также такой там те тем то того тоже той только том ты у уже хотя чего чей чем что чтобы чье эта эти это
+      этого этой этом я меня мой моя себя свой тут просто вообще сейчас можно нужно спасибо привет`,
+  },
+  uk: {
+    label: 'Ukrainian',
+    words: `а але б би був була були було бути в вам вас весь від вона вони воно все всі ви де для до є же за
+      з зі і й із їх його її к як який коли хто ми мене мені на над не нема немає ні но ну о от по під після
+      при про та так також там те тебе ти то тож тобто тільки у уже це цей ця цю цього що щоб я дякую привіт`,
+  },
+  de: {
+    label: 'German',
+    words: `aber alle als also am an auch auf aus bei bin bis bist da dann das dass dein dem den der des die dies
+      diese dieser dir doch du durch ein eine einem einen einer es für habe haben hast hat hatte ich ihr im in
+      ist ja jetzt kann kein keine mal man mein mich mir mit nach nicht noch nur ob oder schon sein sich sie
+      sind so und uns von vor war was wenn wer wie wir wird zu zum zur danke hallo`,
+  },
+  es: {
+    label: 'Spanish',
+    words: `a al algo como con cual cuando de del desde donde el ella ellos en entre era es esa ese eso esta este
+      esto estoy fue ha hay la las le les lo los me mi muy más nada ni no nos o otra otro para pero poco por
+      porque que quien se ser si sin sobre son su sus también te tengo tiene todo tu un una uno ya yo gracias
+      hola`,
+  },
+  fr: {
+    label: 'French',
+    words: `a ai au aussi avec avoir bien c'est ce cela ces cet cette comme dans de des du elle en est et etre
+      été il ils je la le les leur lui ma mais me mes moi mon ne nous on ou où par pas plus pour qu'il que qui
+      sa se ses si son sont sur ta te tes toi ton tout très tu un une vos votre vous y merci salut`,
+  },
+  pt: {
+    label: 'Portuguese',
+    words: `a ao aos as até com como da das de dela dele do dos e ela ele eles em entre era essa esse esta este
+      eu foi há isso isto já lhe mais mas me meu minha muito na nas nem no nos não o os ou para pela pelo por
+      quando que se sem ser seu sua são também te tem tu um uma você vocês obrigado olá`,
+  },
+  it: {
+    label: 'Italian',
+    words: `a ad al alla anche che chi ci come con da dal dalla del della di e ed era gli ha hai ho i il in io la
+      le lei lo loro lui ma mi mio nel nella no noi non o per perché più quando quella quello questa questo se
+      si sono su sua suo ti tu tutto un una uno voi grazie ciao`,
+  },
+};
@@ -0,0 +1,114 @@
+// Saved datasets in IndexedDB. Metadata and parsed data live in separate stores so the
+// landing screen can list datasets without loading every message.
+const DB_NAME = 'tgStats';
+const DB_VERSION = 1;
+const DATASETS = 'datasets';
+const DATASET_DATA = 'datasetData';
+
+let dbPromise = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(DATASETS)) {
+        db.createObjectStore(DATASETS, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(DATASET_DATA)) {
+        db.createObjectStore(DATASET_DATA, { keyPath: 'id' });
+      }
+    };
+    dbPromise = promisify(request);
+  }
+  return dbPromise;
+}
+
+async function withStores(mode, callback) {
+  const db = await openDatabase();
+  const transaction = db.transaction([DATASETS, DATASET_DATA], mode);
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  // Awaited together, so an abort while the callback runs rejects this call instead of going unhandled
+  const [result] = await Promise.all([
+    callback(transaction.objectStore(DATASETS), transaction.objectStore(DATASET_DATA)),
+    completed,
+  ]);
+  return result;
+}
+
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export async function listDatasets() {
+  const datasets = await withStores('readonly', (datasetStore) => promisify(datasetStore.getAll()));
+  return datasets.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// data holds the parsed file cache, a metrics snapshot and settings; summary fields go on the metadata
+export async function saveDataset({ id, name, data, summary }) {
+  const datasetId = id || createId();
+  const now = Date.now();
+
+  return withStores('readwrite', async (datasetStore, dataStore) => {
+    const existing = id ? await promisify(datasetStore.get(id)) : null;
+    const dataset = {
+      ...summary,
+      id: datasetId,
+      name: name || existing?.name || 'Untitled dataset',
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    };
+
+    datasetStore.put(dataset);
+    dataStore.put({ ...data, id: datasetId });
+    return dataset;
+  });
+}
+
+export async function loadDataset(id) {
+  return withStores('readonly', async (datasetStore, dataStore) => {
+    const [dataset, data] = await Promise.all([
+      promisify(datasetStore.get(id)),
+      promisify(dataStore.get(id)),
+    ]);
+    if (!dataset || !data) throw new Error('Saved dataset not found');
+    return { dataset, data };
+  });
+}
+
+export async function renameDataset(id, name) {
+  return withStores('readwrite', async (datasetStore) => {
+    const dataset = await promisify(datasetStore.get(id));
+    if (!dataset) throw new Error('Saved dataset not found');
+    const renamed = { ...dataset, name, updatedAt: Date.now() };
+    datasetStore.put(renamed);
+    return renamed;
+  });
+}
+
+export async function deleteDataset(id) {
+  return withStores('readwrite', (datasetStore, dataStore) => {
+    datasetStore.delete(id);
+    dataStore.delete(id);
+  });
+}
+
+// Bytes used and available for this origin, where the browser reports it
+export async function getStorageUsage() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota };
+}
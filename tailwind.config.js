@@ -1,8 +1,7 @@
 export default {
   content: [
     "./index.html",
-    "./index.jsx",
-    "./server.jsx",
+    "./*.jsx",
     "./src/**/*.{js,jsx,ts,tsx}"
   ],
   theme: {
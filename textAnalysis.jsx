@@ -0,0 +1,99 @@
+// Tokenization and term counting for word and phrase statistics
+import { STOP_WORDS } from './stopWords.jsx';
+
+export const DEFAULT_TEXT_OPTIONS = { stopWordLanguages: ['en'], excludedTerms: [] };
+
+// Full URLs, and bare "github.com/..." style paths
+const URL_PATTERN = /(?:https?:\/\/|www\.)\S+|\b[\w-]+(?:\.[\w-]+)+\/\S*/gi;
+const MENTION_PATTERN = /@\w+/g;
+// Splits on anything that isn't a letter, mark or digit; enough for space-separated scripts
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}]+)*/gu;
+// Scripts written without spaces need a dictionary-based segmenter
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+// Single letters in alphabetic scripts carry no meaning; a single CJK character often does
+const SINGLE_ALPHABETIC = /^[\p{Script=Latin}\p{Script=Cyrillic}\p{Script=Greek}]$/u;
+const NUMERIC = /^[\p{N}.,]+$/u;
+// Longer "words" are addresses, hashes and keys rather than language
+const MAX_WORD_LENGTH = 30;
+
+const segmenter = typeof Intl.Segmenter === 'function'
+  ? new Intl.Segmenter(undefined, { granularity: 'word' })
+  : null;
+
+// Lowercased words in reading order, with links and @mentions removed first
+export function tokenize(text) {
+  const cleaned = text.replace(URL_PATTERN, ' ').replace(MENTION_PATTERN, ' ').toLowerCase();
+  const words = segmenter && UNSPACED_SCRIPT.test(cleaned)
+    ? Array.from(segmenter.segment(cleaned)).filter(part => part.isWordLike).map(part => part.segment)
+    : cleaned.match(WORD_PATTERN) || [];
+
+  return words
+    .map(word => word.replace(/’/g, '\''))
+    .filter(word => word.length <= MAX_WORD_LENGTH && !NUMERIC.test(word) && !SINGLE_ALPHABETIC.test(word));
+}
+
+// Checks shared by every count in one computation, built once from the user's settings
+function createTermFilter({ stopWordLanguages = [], excludedTerms = [] } = {}) {
+  const stopWords = new Set(
+    stopWordLanguages.flatMap(language => (STOP_WORDS[language]?.words || '').split(/\s+/).filter(Boolean))
+  );
+  // "/start" or "#update" should match the bare token the segmenter produces
+  const excluded = new Set(excludedTerms.flatMap(term => tokenize(term)));
+
+  return {
+    isExcluded: token => excluded.has(token),
+    isTerm: token => !stopWords.has(token) && !excluded.has(token),
+  };
+}
+
+// Words, bigrams and trigrams of one text. Phrases may contain stop words in the middle
+// ("proof of stake") but never start or end with one.
+export function createTermExtractor(options = DEFAULT_TEXT_OPTIONS) {
+  const { isExcluded, isTerm } = createTermFilter(options);
+
+  return text => {
+    const tokens = tokenize(text);
+    const terms = tokens.map(isTerm);
+    const words = [];
+    const bigrams = [];
+    const trigrams = [];
+
+    tokens.forEach((token, index) => {
+      if (!terms[index]) return;
+      words.push(token);
+
+      const next = index + 1;
+      if (next >= tokens.length) return;
+      if (terms[next]) bigrams.push(`${token} ${tokens[next]}`);
+      if (next + 1 < tokens.length && terms[next + 1] && !isExcluded(tokens[next])) {
+        trigrams.push(`${token} ${tokens[next]} ${tokens[next + 1]}`);
+      }
+    });
+
+    return { words, bigrams, trigrams };
+  };
+}
+
+export const countTerms = (counts, terms) => terms.forEach(term => {
+  counts[term] = (counts[term] || 0) + 1;
+});
+
+// Accumulates word, bigram and trigram counts over many texts
+export function createTermCounter(options = DEFAULT_TEXT_OPTIONS) {
+  const extract = createTermExtractor(options);
+  const words = {};
+  const bigrams = {};
+  const trigrams = {};
+
+  return {
+    add(text) {
+      const terms = extract(text);
+      countTerms(words, terms.words);
+      countTerms(bigrams, terms.bigrams);
+      countTerms(trigrams, terms.trigrams);
+    },
+    words,
+    bigrams,
+    trigrams,
+  };
+}
@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { COLORS, CollapsibleSection } from './components.jsx';
+import { STOP_WORDS } from './stopWords.jsx';
+
+const CLOUD_WORDS = 80;
+
+// Font size scales with the square root of the count so one dominant word doesn't dwarf the rest
+const WordCloud = ({ words, onSelectTerm }) => {
+  if (words.length === 0) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">No text messages in this range</p>;
+  }
+
+  const max = Math.sqrt(words[0][1]);
+  const min = Math.sqrt(words[words.length - 1][1]);
+  // Alphabetical, so the biggest words end up scattered rather than stacked at the top
+  const alphabetical = [...words].sort(([a], [b]) => a.localeCompare(b));
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-x-3 gap-y-1 py-4">
+      {alphabetical.map(([word, count], index) => {
+        const weight = max === min ? 1 : (Math.sqrt(count) - min) / (max - min);
+        return (
+          <button
+            key={word}
+            onClick={() => onSelectTerm(word)}
+            title={`${count} occurrences`}
+            className="leading-tight hover:underline"
+            style={{
+              fontSize: `${0.75 + weight * 2}rem`,
+              fontWeight: weight > 0.5 ? 600 : 400,
+              color: COLORS[index % COLORS.length],
+            }}
+          >
+            {word}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+const PhraseList = ({ phrases, onSelectTerm }) =>
+  phrases.length === 0 ? (
+    <p className="text-sm text-gray-500 dark:text-gray-400">No repeated phrases</p>
+  ) : (
+    phrases.map(([phrase, count]) => (
+      <div
+        key={phrase}
+        className="flex items-center justify-between py-2 border-b dark:border-gray-600 last:border-0"
+      >
+        <button
+          onClick={() => onSelectTerm(phrase)}
+          className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline text-left"
+        >
+          {phrase}
+        </button>
+        <span className="text-sm text-gray-500 dark:text-gray-400">{count} times</span>
+      </div>
+    ))
+  );
+
+// Stop-word languages and custom exclusions; edits apply when the excluded terms box loses focus
+const TextSettings = ({ textOptions, onChange }) => {
+  const [excludedText, setExcludedText] = useState(textOptions.excludedTerms.join(', '));
+
+  useEffect(() => {
+    setExcludedText(textOptions.excludedTerms.join(', '));
+  }, [textOptions.excludedTerms]);
+
+  const toggleLanguage = (language) => {
+    const languages = textOptions.stopWordLanguages.includes(language)
+      ? textOptions.stopWordLanguages.filter((current) => current !== language)
+      : [...textOptions.stopWordLanguages, language];
+    onChange({ ...textOptions, stopWordLanguages: languages });
+  };
+
+  const applyExcluded = () => {
+    const excludedTerms = excludedText
+      .split(/[,\n]/)
+      .map((term) => term.trim())
+      .filter(Boolean);
+    if (excludedTerms.join(',') !== textOptions.excludedTerms.join(',')) {
+      onChange({ ...textOptions, excludedTerms });
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <p className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Ignore common words in</p>
+        <div className="flex flex-wrap gap-4">
+          {Object.entries(STOP_WORDS).map(([language, { label }]) => (
+            <label key={language} className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={textOptions.stopWordLanguages.includes(language)}
+                onChange={() => toggleLanguage(language)}
+              />
+              <span>{label}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+          Also exclude (comma separated, e.g. bot commands like /start)
+        </label>
+        <textarea
+          value={excludedText}
+          onChange={(e) => setExcludedText(e.target.value)}
+          onBlur={applyExcluded}
+          rows={2}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm
+            sm:text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+        />
+      </div>
+    </div>
+  );
+};
+
+// Word cloud, frequent phrases and the settings that shape them
+const TextInsights = ({ metrics, textOptions, onTextOptionsChange, onSelectTerm }) => (
+  <>
+    <CollapsibleSection title="Word Settings" defaultOpen={false}>
+      <TextSettings textOptions={textOptions} onChange={onTextOptionsChange} />
+    </CollapsibleSection>
+
+    <CollapsibleSection title="Word Cloud">
+      <WordCloud words={metrics.topWords.slice(0, CLOUD_WORDS)} onSelectTerm={onSelectTerm} />
+    </CollapsibleSection>
+
+    <div className="grid md:grid-cols-2 gap-4">
+      <CollapsibleSection title="Common Two-Word Phrases">
+        <PhraseList phrases={metrics.topBigrams.slice(0, 15)} onSelectTerm={onSelectTerm} />
+      </CollapsibleSection>
+      <CollapsibleSection title="Common Three-Word Phrases">
+        <PhraseList phrases={metrics.topTrigrams.slice(0, 15)} onSelectTerm={onSelectTerm} />
+      </CollapsibleSection>
+    </div>
+  </>
+);
+
+export default TextInsights;
@@ -0,0 +1,93 @@
+// Timezone handling for time-based buckets (day, hour, weekday)
+export const EXPORT_TIMEZONE = 'export';
+export const LOCAL_TIMEZONE = 'local';
+export const UTC_TIMEZONE = 'UTC';
+
+const formatters = {};
+
+function browserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+export function timeZoneLabel(timeZone) {
+  if (timeZone === EXPORT_TIMEZONE) return "Export's own offset";
+  if (timeZone === LOCAL_TIMEZONE) return `Browser local (${browserTimeZone()})`;
+  return timeZone;
+}
+
+// Every IANA zone the runtime knows about, for the selector
+export function listTimeZones() {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  return [UTC_TIMEZONE];
+}
+
+function getFormatter(timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+  }
+  return formatters[timeZone];
+}
+
+// Milliseconds to add to a UTC timestamp to get the wall clock in the zone
+function zoneOffset(timestamp, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    parts[type] = parseInt(value);
+  });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Wall-clock time of a message in the selected zone, as a Date read through its UTC getters
+export function zonedDate(message, timeZone = EXPORT_TIMEZONE) {
+  const { timestamp } = message;
+  if (timeZone === EXPORT_TIMEZONE) {
+    return new Date(timestamp + (message.utcOffset || 0) * 60000);
+  }
+  if (timeZone === UTC_TIMEZONE) {
+    return new Date(timestamp);
+  }
+
+  const zone = timeZone === LOCAL_TIMEZONE ? browserTimeZone() : timeZone;
+  return new Date(timestamp + zoneOffset(timestamp, zone));
+}
+
+// Date and time of a message for drill-down lists, in the selected zone rather than the browser's
+export function formatDateTime(message, timeZone = EXPORT_TIMEZONE) {
+  if (message.timestamp === null) return '';
+  return zonedDate(message, timeZone).toLocaleString(undefined, { timeZone: UTC_TIMEZONE });
+}
+
+// Day, hour and weekday buckets for a message in the selected zone
+export function zonedParts(message, timeZone = EXPORT_TIMEZONE) {
+  const date = zonedDate(message, timeZone);
+
+  return {
+    date: date.toISOString().split('T')[0],
+    hour: date.getUTCHours(),
+    weekday: date.getUTCDay(),
+  };
+}
+
+// DatePicker works with local-midnight Dates; metrics are keyed by "YYYY-MM-DD"
+export function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+export function fromDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-');
+  return new Date(year, month - 1, day);
+}
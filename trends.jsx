@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { CollapsibleSection } from './components.jsx';
+
+const RECENT_WINDOWS = [7, 14, 30, 90];
+const BASELINE_WINDOWS = [7, 28, 90, 180];
+
+const WindowPicker = ({ label, value, choices, onChange }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{label}</label>
+    <select
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm
+        sm:text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+    >
+      {choices.map((days) => (
+        <option key={days} value={days}>
+          {days} days
+        </option>
+      ))}
+    </select>
+  </div>
+);
+
+const Sparkline = ({ term, dates, counts, recentStart }) => (
+  <div>
+    <p className="text-sm font-medium text-gray-900 dark:text-gray-100 mb-2">
+      Daily uses of “{term}”
+    </p>
+    <div className="h-24">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={dates.map((date, index) => ({ date, uses: counts[index] }))}>
+          <XAxis dataKey="date" hide />
+          <YAxis hide allowDecimals={false} />
+          <Tooltip contentStyle={{ backgroundColor: '#2d3748', color: '#e2e8f0' }} />
+          <ReferenceLine x={recentStart} stroke="#718096" strokeDasharray="3 3" />
+          <Line type="monotone" dataKey="uses" stroke="#8884d8" strokeWidth={2} dot={false} />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  </div>
+);
+
+const TrendList = ({ trends, selected, onSelect, emptyText }) =>
+  trends.length === 0 ? (
+    <p className="text-sm text-gray-500 dark:text-gray-400">{emptyText}</p>
+  ) : (
+    trends.map(({ term, recentCount, baselineCount, recentRate, baselineRate, score }) => (
+      <button
+        key={term}
+        onClick={() => onSelect(term)}
+        title={`${recentRate.toFixed(1)} vs ${baselineRate.toFixed(1)} uses per 10,000 words`}
+        className={`w-full flex items-center justify-between py-2 px-1 border-b dark:border-gray-600 last:border-0
+          text-left ${selected === term ? 'bg-gray-100 dark:bg-gray-700' : ''}`}
+      >
+        <span className="text-sm font-medium text-gray-900 dark:text-gray-100 break-all">{term}</span>
+        <span className="text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap ml-2">
+          {score > 0 ? '▲' : '▼'} {Math.abs(score).toFixed(1)} ({baselineCount} → {recentCount})
+        </span>
+      </button>
+    ))
+  );
+
+// Terms whose share of the conversation changed between a recent window and the one before it
+const Trends = ({ options, computeTrends }) => {
+  const [recentDays, setRecentDays] = useState(7);
+  const [baselineDays, setBaselineDays] = useState(28);
+  // undefined while computing, null when there are no messages to compare
+  const [trends, setTrends] = useState(undefined);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    let current = true;
+    setTrends(undefined);
+    computeTrends({ ...options, recentDays, baselineDays })
+      .then((result) => {
+        if (current) setTrends(result);
+      })
+      .catch((err) => console.error('Error computing trends:', err));
+    return () => {
+      current = false;
+    };
+  }, [recentDays, baselineDays, options.timeZone, options.endDate, options.chat, options.role, options.text]);
+
+  const pickers = (
+    <div className="grid grid-cols-2 gap-4">
+      <WindowPicker label="Recent window" value={recentDays} choices={RECENT_WINDOWS} onChange={setRecentDays} />
+      <WindowPicker
+        label="Compared with the previous"
+        value={baselineDays}
+        choices={BASELINE_WINDOWS}
+        onChange={setBaselineDays}
+      />
+    </div>
+  );
+
+  if (!trends) {
+    return (
+      <div className="space-y-6">
+        {pickers}
+        <p className="text-gray-500 dark:text-gray-400">
+          {trends === undefined ? 'Finding trends...' : 'No messages to compare'}
+        </p>
+      </div>
+    );
+  }
+
+  const selectedCounts = selected && trends.series[selected];
+  const lists = [
+    ['Emerging Words', trends.words.emerging],
+    ['Declining Words', trends.words.declining],
+    ['Emerging Phrases', trends.phrases.emerging],
+    ['Declining Phrases', trends.phrases.declining],
+  ];
+
+  return (
+    <div className="space-y-6">
+      {pickers}
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        {trends.recentStart} to {trends.endDate} ({trends.recentWords.toLocaleString()} words) compared with{' '}
+        the {baselineDays} days before, from {trends.baselineStart} ({trends.baselineWords.toLocaleString()} words). Scores are the log2
+        change in each term's share of all words; click a term for its daily use.
+      </p>
+
+      {selectedCounts && (
+        <CollapsibleSection title="Term Usage">
+          <Sparkline
+            term={selected}
+            dates={trends.dates}
+            counts={selectedCounts}
+            recentStart={trends.recentStart}
+          />
+        </CollapsibleSection>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-4">
+        {lists.map(([title, items]) => (
+          <CollapsibleSection key={title} title={title}>
+            <TrendList
+              trends={items}
+              selected={selected}
+              onSelect={setSelected}
+              emptyText="Nothing stands out between these windows"
+            />
+          </CollapsibleSection>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Trends;
@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import { CollapsibleSection, ScrollableList } from './components.jsx';
+import { COMMUNITY_ROLE, DEFAULT_ROLE_RULES, ROLES, ROLE_LABELS } from './directory.jsx';
+
+const inputClass = `block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm
+  sm:text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100`;
+
+const ROLE_OPTIONS = [...ROLES, [COMMUNITY_ROLE, ROLE_LABELS[COMMUNITY_ROLE]]];
+
+// Pattern edits apply when the box loses focus, so half-typed patterns don't re-run the analysis
+const RuleRow = ({ rule, onChange, onRemove }) => {
+  const [pattern, setPattern] = useState(rule.pattern);
+
+  useEffect(() => {
+    setPattern(rule.pattern);
+  }, [rule.pattern]);
+
+  return (
+    <div className="flex items-center space-x-2 py-2 border-b dark:border-gray-600 last:border-0">
+      <select value={rule.role} onChange={(e) => onChange({ ...rule, role: e.target.value })} className={`${inputClass} w-40`}>
+        {ROLE_OPTIONS.map(([role, label]) => (
+          <option key={role} value={role}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <input
+        value={pattern}
+        onChange={(e) => setPattern(e.target.value)}
+        onBlur={() => pattern !== rule.pattern && onChange({ ...rule, pattern })}
+        placeholder="Pattern, e.g. \| Osmosis$"
+        className={`${inputClass} font-mono`}
+      />
+      <button onClick={onRemove} className="text-sm text-gray-500 dark:text-gray-400 hover:text-red-600">
+        Remove
+      </button>
+    </div>
+  );
+};
+
+// Merge a person's display names into one identity and give people roles, by hand or by rule
+const UserDirectory = ({ identities, directory, privacy, onChange, onSelectUser }) => {
+  const [filter, setFilter] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [mergeTarget, setMergeTarget] = useState('');
+
+  if (privacy) {
+    return (
+      <CollapsibleSection title="User Directory">
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          The directory works on real names, so it's unavailable while privacy mode is on.
+        </p>
+      </CollapsibleSection>
+    );
+  }
+
+  const needle = filter.trim().toLowerCase();
+  const visible = needle
+    ? identities.filter(
+      ({ identity, aliases }) =>
+        identity.toLowerCase().includes(needle) || aliases.some(({ name }) => name.toLowerCase().includes(needle))
+    )
+    : identities;
+
+  const toggleSelected = (identity) => {
+    const next = selected.includes(identity) ? selected.filter((current) => current !== identity) : [...selected, identity];
+    setSelected(next);
+    if (!next.includes(mergeTarget)) setMergeTarget(next[0] || '');
+  };
+
+  const merge = () => {
+    const aliases = { ...directory.aliases };
+    const roles = { ...directory.roles };
+    selected
+      .filter((identity) => identity !== mergeTarget)
+      .forEach((identity) => {
+        aliases[identity] = mergeTarget;
+        delete roles[identity];
+      });
+    onChange({ ...directory, aliases, roles });
+    setSelected([]);
+    setMergeTarget('');
+  };
+
+  const unmerge = (name) => {
+    const { [name]: removed, ...aliases } = directory.aliases;
+    onChange({ ...directory, aliases });
+  };
+
+  const setRole = (identity, role) => {
+    const { [identity]: previous, ...roles } = directory.roles;
+    onChange({ ...directory, roles: role ? { ...roles, [identity]: role } : roles });
+  };
+
+  const updateRules = (rules) => onChange({ ...directory, rules });
+
+  return (
+    <>
+      <CollapsibleSection title={`User Directory (${identities.length} people)`}>
+        <div className="flex flex-wrap items-center gap-4 mb-4">
+          <input
+            type="search"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Find a name"
+            className={`${inputClass} md:w-64`}
+          />
+          {selected.length > 1 && (
+            <div className="flex items-center space-x-2">
+              <span className="text-sm text-gray-700 dark:text-gray-300">Merge {selected.length} into</span>
+              <select value={mergeTarget} onChange={(e) => setMergeTarget(e.target.value)} className={`${inputClass} w-56`}>
+                {selected.map((identity) => (
+                  <option key={identity} value={identity}>
+                    {identity}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={merge}
+                className="px-3 py-1 rounded-md text-sm font-semibold bg-indigo-50 text-indigo-700 hover:bg-indigo-100"
+              >
+                Merge
+              </button>
+            </div>
+          )}
+        </div>
+        <ScrollableList
+          items={visible}
+          renderItem={({ identity, aliases, messages, role, roleSource }) => (
+            <div key={identity} className="py-2 border-b dark:border-gray-600 last:border-0">
+              <div className="flex items-center justify-between">
+                <label className="flex items-center space-x-2">
+                  <input type="checkbox" checked={selected.includes(identity)} onChange={() => toggleSelected(identity)} />
+                  <button
+                    onClick={() => onSelectUser(identity)}
+                    className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline text-left"
+                  >
+                    {identity}
+                  </button>
+                  <span className="text-xs text-gray-500 dark:text-gray-400">{messages.toLocaleString()} messages</span>
+                </label>
+                <select
+                  value={roleSource === 'manual' ? role : ''}
+                  onChange={(e) => setRole(identity, e.target.value)}
+                  className={`${inputClass} w-48`}
+                >
+                  <option value="">Automatic ({ROLE_LABELS[role]})</option>
+                  {ROLE_OPTIONS.map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {aliases.length > 0 && (
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                  Also seen as{' '}
+                  {aliases.map(({ name, manual }) => (
+                    <span key={name} className="inline-flex items-center mr-2 px-2 py-0.5 rounded bg-gray-100 dark:bg-gray-700">
+                      {name}
+                      {manual ? (
+                        <button onClick={() => unmerge(name)} title="Split back out" className="ml-1 hover:text-red-600">
+                          ×
+                        </button>
+                      ) : (
+                        <span className="ml-1" title="Same account in the export">
+                          (same account)
+                        </span>
+                      )}
+                    </span>
+                  ))}
+                </p>
+              )}
+            </div>
+          )}
+        />
+      </CollapsibleSection>
+
+      <CollapsibleSection title="Role Rules" defaultOpen={false}>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">
+          People without a role set by hand get the first rule whose pattern (a case-insensitive regular expression)
+          matches any of their names.
+        </p>
+        {directory.rules.map((rule, index) => (
+          <RuleRow
+            key={index}
+            rule={rule}
+            onChange={(changed) => updateRules(directory.rules.map((current, i) => (i === index ? changed : current)))}
+            onRemove={() => updateRules(directory.rules.filter((_, i) => i !== index))}
+          />
+        ))}
+        <div className="flex space-x-4 mt-2">
+          <button
+            onClick={() => updateRules([...directory.rules, { role: 'team', pattern: '' }])}
+            className="text-sm text-indigo-600 dark:text-indigo-400 hover:underline"
+          >
+            Add rule
+          </button>
+          <button onClick={() => updateRules(DEFAULT_ROLE_RULES)} className="text-sm text-gray-500 dark:text-gray-400 hover:underline">
+            Reset to defaults
+          </button>
+        </div>
+      </CollapsibleSection>
+    </>
+  );
+};
+
+export default UserDirectory;
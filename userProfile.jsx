@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from 'recharts';
+import { CollapsibleSection, StatsCard } from './components.jsx';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const Heatmap = ({ heatmap }) => {
+  const max = Math.max(1, ...heatmap.flat());
+
+  return (
+    <div className="overflow-x-auto">
+      <div className="inline-grid gap-1" style={{ gridTemplateColumns: 'auto repeat(24, 1.25rem)' }}>
+        <span />
+        {Array.from({ length: 24 }, (_, hour) => (
+          <span key={hour} className="text-xs text-center text-gray-500 dark:text-gray-400">
+            {hour % 3 === 0 ? hour : ''}
+          </span>
+        ))}
+        {heatmap.map((hours, weekday) => (
+          <React.Fragment key={weekday}>
+            <span className="text-xs pr-2 text-gray-500 dark:text-gray-400">{WEEKDAYS[weekday]}</span>
+            {hours.map((count, hour) => (
+              <div
+                key={hour}
+                title={`${WEEKDAYS[weekday]} ${hour}:00 - ${count} messages`}
+                className="h-5 rounded-sm bg-indigo-600"
+                style={{ opacity: count === 0 ? 0.06 : 0.15 + (count / max) * 0.85 }}
+              />
+            ))}
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const RankedList = ({ items, unit, emptyText }) =>
+  items.length === 0 ? (
+    <p className="text-sm text-gray-500 dark:text-gray-400">{emptyText}</p>
+  ) : (
+    items.map(([name, count]) => (
+      <div
+        key={name}
+        className="flex items-center justify-between py-2 border-b dark:border-gray-600 last:border-0"
+      >
+        <span className="text-sm font-medium text-gray-900 dark:text-gray-100">{name}</span>
+        <span className="text-sm text-gray-500 dark:text-gray-400">
+          {count} {unit}
+        </span>
+      </div>
+    ))
+  );
+
+// Drill-down for one sender, within the current chat, timezone and date range
+const UserProfile = ({ user, options, computeUserProfile, onBack }) => {
+  const [profile, setProfile] = useState(null);
+
+  useEffect(() => {
+    let current = true;
+    setProfile(null);
+    computeUserProfile(user, options)
+      .then((result) => {
+        if (current) setProfile(result);
+      })
+      .catch((err) => console.error('Error building user profile:', err));
+    return () => {
+      current = false;
+    };
+  }, [user, options.timeZone, options.startDate, options.endDate, options.chat, options.role, options.text]);
+
+  const header = (
+    <div className="flex items-center space-x-4">
+      <button
+        onClick={onBack}
+        className="px-3 py-1 rounded text-sm text-gray-500 dark:text-gray-300 hover:text-gray-700 dark:hover:text-gray-100"
+      >
+        ← Back
+      </button>
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">{user}</h2>
+    </div>
+  );
+
+  if (!profile) {
+    return (
+      <div className="space-y-6">
+        {header}
+        <p className="text-gray-500 dark:text-gray-400">Loading profile...</p>
+      </div>
+    );
+  }
+
+  const dailyData = Object.entries(profile.messagesByDate)
+    .map(([date, count]) => ({ date, messages: count }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return (
+    <div className="space-y-6">
+      {header}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <StatsCard
+          title="Messages"
+          value={profile.messageCount.toLocaleString()}
+          subtitle={`${(profile.shareOfMessages * 100).toFixed(1)}% of all messages`}
+        />
+        <StatsCard
+          title="Active days"
+          value={profile.activeDays}
+          subtitle={profile.firstSeen && `${profile.firstSeen} to ${profile.lastSeen}`}
+        />
+        <StatsCard
+          title="Longest streak"
+          value={`${profile.longestStreak} day(s)`}
+        />
+        <StatsCard
+          title="Average message length"
+          value={profile.averageMessageLength}
+          subtitle="characters"
+        />
+      </div>
+
+      <CollapsibleSection title="Activity Over Time">
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={dailyData} className="dark:bg-gray-800">
+              <CartesianGrid stroke="#4a5568" strokeDasharray="3 3" />
+              <XAxis dataKey="date" stroke="#718096" tick={{ fill: '#718096' }} />
+              <YAxis stroke="#718096" tick={{ fill: '#718096' }} />
+              <Tooltip contentStyle={{ backgroundColor: '#2d3748', color: '#e2e8f0' }} />
+              <Line type="monotone" dataKey="messages" stroke="#8884d8" strokeWidth={2} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </CollapsibleSection>
+
+      <CollapsibleSection title="Hour / Weekday Heatmap">
+        <Heatmap heatmap={profile.heatmap} />
+      </CollapsibleSection>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <CollapsibleSection title={`Reactions Received (${profile.reactionsReceived})`}>
+          <RankedList
+            items={profile.reactionsReceivedByEmoji}
+            unit="reactions"
+            emptyText="No reactions received"
+          />
+        </CollapsibleSection>
+        <CollapsibleSection title={`Reactions Given (${profile.reactionsGiven})`}>
+          <RankedList
+            items={profile.reactionsGivenTo}
+            unit="reactions"
+            emptyText="No reactions given that the export lists"
+          />
+        </CollapsibleSection>
+        <CollapsibleSection title="Replies Most To">
+          <RankedList items={profile.repliesTo} unit="replies" emptyText="No replies" />
+        </CollapsibleSection>
+        <CollapsibleSection title="Top Words">
+          <RankedList items={profile.topWords} unit="times" emptyText="No text messages" />
+        </CollapsibleSection>
+      </div>
+    </div>
+  );
+};
+
+export default UserProfile;